@@ -1,8 +1,10 @@
 import { defineConfig } from "astro/config";
 import node from "@astrojs/node";
+import sessionServer from "./src/server/integration.js";
 
 export default defineConfig({
   output: "hybrid",
+  integrations: [sessionServer()],
   adapter: node({
     mode: "standalone",
   }),
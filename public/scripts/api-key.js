@@ -0,0 +1,245 @@
+/**
+ * API key protection for Pantry Party
+ * The key can be kept encrypted under a passphrase (PBKDF2 and AES-GCM with
+ * WebCrypto) instead of as plain text. An unlocked key is only held in
+ * memory, so it locks again when the page is left or reloaded, or after a
+ * while without being used. Everything that calls the provider gets the key
+ * from here, not from storage
+ */
+
+import { OpenAIStorage } from "./storage.js";
+
+export const KEY_STATUS = {
+  NONE: "none",
+  PLAIN: "plain",
+  LOCKED: "locked",
+  UNLOCKED: "unlocked",
+};
+
+// Lock an unlocked key after this long without it being used
+export const AUTO_LOCK_MS = 15 * 60 * 1000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const KDF_ITERATIONS = 310000;
+
+// Asks the user for the passphrase (see ApiKeyUnlock.astro)
+let unlockHandler = null;
+let lockTimer = null;
+
+// { apiKey, lastUsed } while the key is unlocked; never written anywhere
+let unlocked = null;
+
+const encoder = new TextEncoder();
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * { encrypted: true, iterations, salt, iv, data }, with the bytes in base64
+ */
+export async function encryptApiKey(apiKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    encoder.encode(apiKey)
+  );
+
+  return {
+    encrypted: true,
+    iterations: KDF_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    data: toBase64(data),
+  };
+}
+
+/**
+ * The key in an encrypted record. Throws if the passphrase is wrong
+ */
+export async function decryptApiKey(record, passphrase) {
+  const key = await deriveKey(
+    passphrase,
+    fromBase64(record.salt),
+    record.iterations
+  );
+
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(record.iv) },
+      key,
+      fromBase64(record.data)
+    );
+    return new TextDecoder().decode(data);
+  } catch {
+    // AES-GCM can't tell a wrong passphrase from a damaged record
+    throw new Error("Wrong passphrase");
+  }
+}
+
+function isEncryptedRecord(value) {
+  return Boolean(value && typeof value === "object" && value.encrypted);
+}
+
+function readUnlocked() {
+  // The timer may not have fired in a tab the browser put to sleep
+  if (unlocked && Date.now() - unlocked.lastUsed > AUTO_LOCK_MS) {
+    unlocked = null;
+  }
+  return unlocked;
+}
+
+// Start the inactivity timeout over
+function keepUnlocked(apiKey) {
+  unlocked = { apiKey, lastUsed: Date.now() };
+  clearTimeout(lockTimer);
+  lockTimer = setTimeout(lockApiKey, AUTO_LOCK_MS);
+}
+
+function notifyStatus() {
+  if (typeof window === "undefined") return;
+  window.dispatchEvent(
+    new CustomEvent("apiKeyStatusChanged", { detail: getKeyStatus() })
+  );
+}
+
+export function getKeyStatus() {
+  const stored = OpenAIStorage.get();
+  if (!stored) return KEY_STATUS.NONE;
+  if (!isEncryptedRecord(stored)) return KEY_STATUS.PLAIN;
+  return readUnlocked() ? KEY_STATUS.UNLOCKED : KEY_STATUS.LOCKED;
+}
+
+/**
+ * Whether a key is saved, even one that is locked right now
+ */
+export function hasApiKey() {
+  return getKeyStatus() !== KEY_STATUS.NONE;
+}
+
+/**
+ * The key if it can be used without asking, or null
+ */
+export function getApiKey() {
+  const stored = OpenAIStorage.get();
+  if (!isEncryptedRecord(stored)) return stored || null;
+  return readUnlocked()?.apiKey || null;
+}
+
+/**
+ * The key to make a call with, asking for the passphrase if it's locked
+ * Only calls like this count as using the key for the auto-lock. Returns
+ * null if there is no key or the user didn't unlock it
+ */
+export async function requestApiKey() {
+  const status = getKeyStatus();
+  if (status === KEY_STATUS.UNLOCKED) {
+    keepUnlocked(getApiKey());
+  } else if (status === KEY_STATUS.LOCKED) {
+    if (!unlockHandler) {
+      throw new Error(
+        "Your API key is locked. Unlock it with your passphrase."
+      );
+    }
+    await unlockHandler();
+  }
+  return getApiKey();
+}
+
+/**
+ * Set how the user is asked for the passphrase: an async function that
+ * resolves once the key is unlocked or the user gave up
+ */
+export function setUnlockHandler(handler) {
+  unlockHandler = handler;
+}
+
+/**
+ * Save a key, encrypted if a passphrase is given
+ * An encrypted key starts out unlocked on this page, since the user just
+ * typed it
+ */
+export async function saveApiKey(apiKey, { passphrase = "" } = {}) {
+  if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`
+    );
+  }
+  if (passphrase) {
+    OpenAIStorage.set(await encryptApiKey(apiKey, passphrase));
+    keepUnlocked(apiKey);
+  } else {
+    OpenAIStorage.set(apiKey);
+    forgetUnlocked();
+  }
+  notifyStatus();
+}
+
+/**
+ * Encrypt the key that is saved as plain text, or was unlocked
+ */
+export async function protectApiKey(passphrase) {
+  const apiKey = getApiKey();
+  if (!apiKey) throw new Error("Unlock or enter your API key first");
+  await saveApiKey(apiKey, { passphrase });
+}
+
+/**
+ * Unlock the encrypted key for this page. Throws if the passphrase is wrong
+ */
+export async function unlockApiKey(passphrase) {
+  const stored = OpenAIStorage.get();
+  if (!isEncryptedRecord(stored)) return getApiKey();
+
+  const apiKey = await decryptApiKey(stored, passphrase);
+  keepUnlocked(apiKey);
+  notifyStatus();
+  return apiKey;
+}
+
+function forgetUnlocked() {
+  clearTimeout(lockTimer);
+  unlocked = null;
+}
+
+/**
+ * Lock the key again; it stays saved, encrypted
+ */
+export function lockApiKey() {
+  forgetUnlocked();
+  notifyStatus();
+}
+
+/**
+ * Remove the key from this device, encrypted or not
+ */
+export function forgetApiKey() {
+  OpenAIStorage.clear();
+  forgetUnlocked();
+  notifyStatus();
+}
@@ -0,0 +1,110 @@
+/**
+ * Cooking timers for Pantry Party
+ * Finds the durations in recipe steps ("simmer for 20-25 minutes",
+ * "bake 1 hour 15 minutes") and keeps track of the timers started from them.
+ * Timers store when they end rather than counting down, so they survive a
+ * page reload or a phone that was asleep
+ */
+
+import { parseQuantity } from "./ingredient-parser.js";
+
+const UNIT_SECONDS = {
+  h: 3600,
+  m: 60,
+  s: 1,
+};
+
+const NUMBER = "(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?|an?)";
+const UNIT = "(hours?|hrs?|minutes?|mins?|seconds?|secs?)";
+
+// "20 minutes", "20-25 mins", "1 1/2 hours", "an hour", "1 hour 15 minutes"
+const DURATION_PATTERN = new RegExp(
+  `\\b(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*${UNIT}\\b(?:,?\\s*(?:and\\s+)?(\\d+)\\s*(minutes?|mins?))?`,
+  "gi"
+);
+
+function toSeconds(amount, unit) {
+  const value = /^an?$/i.test(amount) ? 1 : parseQuantity(amount);
+  return Math.round(value * UNIT_SECONDS[unit[0].toLowerCase()]);
+}
+
+/**
+ * Every duration mentioned in a step
+ * Returns [{ text, seconds, maxSeconds }]; a range like "20-25 minutes" times
+ * the shorter end so the food can be checked early
+ */
+export function findDurations(text) {
+  return [...text.matchAll(DURATION_PATTERN)]
+    .map(([match, from, to, unit, extra, extraUnit]) => {
+      const added = extra ? toSeconds(extra, extraUnit) : 0;
+      const seconds = toSeconds(from, unit) + added;
+      return {
+        text: match.trim(),
+        seconds,
+        maxSeconds: to ? toSeconds(to, unit) + added : seconds,
+      };
+    })
+    .filter((duration) => duration.seconds > 0);
+}
+
+/**
+ * "4:05", or "1:02:30" for an hour or more
+ */
+export function formatTimer(totalSeconds) {
+  const seconds = Math.max(Math.ceil(totalSeconds), 0);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = (value) => String(value).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+    : `${minutes}:${pad(seconds % 60)}`;
+}
+
+/**
+ * A running timer
+ */
+export function createTimer({ label, seconds, step = null }, now = Date.now()) {
+  return {
+    id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    label,
+    seconds,
+    step,
+    endsAt: now + seconds * 1000,
+    pausedRemaining: null,
+    done: false,
+  };
+}
+
+/**
+ * Seconds left on a timer
+ */
+export function remainingSeconds(timer, now = Date.now()) {
+  if (timer.pausedRemaining !== null) return timer.pausedRemaining;
+  return Math.max((timer.endsAt - now) / 1000, 0);
+}
+
+export function pauseTimer(timer, now = Date.now()) {
+  return { ...timer, pausedRemaining: remainingSeconds(timer, now) };
+}
+
+export function resumeTimer(timer, now = Date.now()) {
+  if (timer.pausedRemaining === null) return timer;
+  return {
+    ...timer,
+    endsAt: now + timer.pausedRemaining * 1000,
+    pausedRemaining: null,
+  };
+}
+
+/**
+ * Timers that have run out but weren't marked done yet
+ */
+export function finishedTimers(timers, now = Date.now()) {
+  return timers.filter(
+    (timer) =>
+      !timer.done &&
+      timer.pausedRemaining === null &&
+      remainingSeconds(timer, now) === 0
+  );
+}
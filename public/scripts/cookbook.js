@@ -0,0 +1,141 @@
+/**
+ * Personal cookbook for Pantry Party
+ * Recipes saved out of a session so they outlive it, with the user's own
+ * tags, notes and rating. Builds the saved copy and searches the cookbook by
+ * title, ingredient, category and tag
+ */
+
+// What a recipe keeps when saved; votes, versions and the like belong to
+// the session it came from
+const RECIPE_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "difficulty",
+  "prepTime",
+  "cookTime",
+  "servings",
+  "ingredients",
+  "instructions",
+  "tips",
+  "model",
+];
+
+export const MAX_RATING = 5;
+
+export const COOKBOOK_SORTS = {
+  RECENT: "recent",
+  RATING: "rating",
+  TITLE: "title",
+};
+
+/**
+ * A copy of a session recipe to keep, with room for the user's own notes
+ */
+export function createCookbookEntry(
+  recipe,
+  { session = null, tags = [] } = {}
+) {
+  const fields = Object.fromEntries(
+    RECIPE_FIELDS.filter((field) => recipe[field] !== undefined).map(
+      (field) => [field, recipe[field]]
+    )
+  );
+
+  return {
+    ...fields,
+    source: {
+      recipeId: recipe.id,
+      sessionId: session?.id || null,
+      hostName: session?.hostName || null,
+    },
+    tags: parseTags(tags),
+    notes: "",
+    rating: null,
+    cookedCount: 0,
+    lastCookedAt: null,
+  };
+}
+
+/**
+ * Tags from "weeknight, Spicy , weeknight" or a list: trimmed, lowercase and
+ * each only once
+ */
+export function parseTags(input) {
+  const tags = Array.isArray(input) ? input : String(input || "").split(",");
+  return [
+    ...new Set(
+      tags.map((tag) => tag.trim().toLowerCase().replace(/\s+/g, " "))
+    ),
+  ].filter(Boolean);
+}
+
+/**
+ * A rating from 1 to MAX_RATING, or null to clear it
+ */
+export function clampRating(rating) {
+  const value = Math.round(Number(rating));
+  if (!value || value < 1) return null;
+  return Math.min(value, MAX_RATING);
+}
+
+/**
+ * "★★★★☆"
+ */
+export function formatRating(rating) {
+  const value = clampRating(rating) || 0;
+  return "★".repeat(value) + "☆".repeat(MAX_RATING - value);
+}
+
+// Every tag in the cookbook, most used first
+export function cookbookTags(entries) {
+  const counts = new Map();
+  entries.forEach((entry) =>
+    entry.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1))
+  );
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag);
+}
+
+export function cookbookCategories(entries) {
+  return [
+    ...new Set(entries.map((entry) => entry.category).filter(Boolean)),
+  ].sort();
+}
+
+// Title, ingredient lines and tags, lowercase, for matching a query
+function searchText(entry) {
+  return [entry.title, ...(entry.ingredients || []), ...entry.tags]
+    .join("\n")
+    .toLowerCase();
+}
+
+const SORTERS = {
+  [COOKBOOK_SORTS.RECENT]: (a, b) => b.savedAt - a.savedAt,
+  [COOKBOOK_SORTS.RATING]: (a, b) =>
+    (b.rating || 0) - (a.rating || 0) || b.savedAt - a.savedAt,
+  [COOKBOOK_SORTS.TITLE]: (a, b) => a.title.localeCompare(b.title),
+};
+
+/**
+ * Filter and sort the cookbook
+ * Every word of the query has to appear in the title, an ingredient or a
+ * tag; category and tag narrow it down further
+ */
+export function searchCookbook(
+  entries,
+  { query = "", category = "", tag = "", sort = COOKBOOK_SORTS.RECENT } = {}
+) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries
+    .filter((entry) => !category || entry.category === category)
+    .filter((entry) => !tag || entry.tags.includes(tag))
+    .filter((entry) => {
+      if (words.length === 0) return true;
+      const text = searchText(entry);
+      return words.every((word) => text.includes(word));
+    })
+    .sort(SORTERS[sort] || SORTERS[COOKBOOK_SORTS.RECENT]);
+}
@@ -0,0 +1,128 @@
+/**
+ * Conflict-free merging for Pantry Party session state
+ * Every shared operation carries a Lamport stamp { clock, replica }. Stamps are
+ * totally ordered, so replicas that apply the same operations in any order end
+ * up with the same state (last writer wins per value, per field and per item).
+ *
+ * Building blocks:
+ *   register - { value, stamp }, a single value such as the cooking context
+ *   fields   - { [field]: register }, an object merged field by field
+ *   set      - { [key]: { value, added, removed } }, items present while added > removed
+ */
+
+/**
+ * Compare two stamps, a missing stamp sorts first
+ */
+export function compareStamps(a, b) {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  if (a.replica === b.replica) return 0;
+  return a.replica < b.replica ? -1 : 1;
+}
+
+function newer(a, b) {
+  return compareStamps(a, b) >= 0 ? a : b;
+}
+
+/**
+ * Registers
+ */
+export function assignRegister(register, value, stamp) {
+  if (register && compareStamps(stamp, register.stamp) <= 0) return register;
+  return { value, stamp };
+}
+
+export function mergeRegisters(a, b) {
+  if (!a || !b) return a || b || null;
+  return compareStamps(a.stamp, b.stamp) >= 0 ? a : b;
+}
+
+/**
+ * Field maps
+ */
+export function assignFields(fields = {}, values, stamp) {
+  const result = { ...fields };
+  Object.entries(values).forEach(([field, value]) => {
+    result[field] = assignRegister(result[field], value, stamp);
+  });
+  return result;
+}
+
+export function mergeFields(a = {}, b = {}) {
+  const result = { ...a };
+  Object.entries(b).forEach(([field, register]) => {
+    result[field] = mergeRegisters(result[field], register);
+  });
+  return result;
+}
+
+export function readFields(fields = {}) {
+  const values = {};
+  Object.entries(fields).forEach(([field, register]) => {
+    values[field] = register.value;
+  });
+  return values;
+}
+
+/**
+ * Sets
+ * Values of items are stored as field maps so concurrent updates to different
+ * fields of the same item both survive
+ */
+export function addToSet(set = {}, key, value, stamp) {
+  const entry = set[key] || { value: {} };
+  return {
+    ...set,
+    [key]: {
+      ...entry,
+      value: assignFields(entry.value, value, stamp),
+      added: newer(stamp, entry.added),
+    },
+  };
+}
+
+export function updateInSet(set = {}, key, values, stamp) {
+  const entry = set[key] || { value: {} };
+  return {
+    ...set,
+    [key]: { ...entry, value: assignFields(entry.value, values, stamp) },
+  };
+}
+
+export function removeFromSet(set = {}, key, stamp) {
+  const entry = set[key] || { value: {} };
+  return { ...set, [key]: { ...entry, removed: newer(stamp, entry.removed) } };
+}
+
+export function mergeSets(a = {}, b = {}) {
+  const result = { ...a };
+  Object.entries(b).forEach(([key, entry]) => {
+    const current = result[key];
+    result[key] = current
+      ? {
+          value: mergeFields(current.value, entry.value),
+          added: newer(current.added, entry.added),
+          removed: newer(current.removed, entry.removed),
+        }
+      : entry;
+  });
+  return result;
+}
+
+export function isInSet(set = {}, key) {
+  const entry = set[key];
+  return Boolean(entry?.added) && compareStamps(entry.added, entry.removed) > 0;
+}
+
+/**
+ * Present items in the order they were added
+ */
+export function readSet(set = {}) {
+  return Object.keys(set)
+    .filter((key) => isInSet(set, key))
+    .sort(
+      (a, b) =>
+        compareStamps(set[a].added, set[b].added) || (a < b ? -1 : a > b ? 1 : 0)
+    )
+    .map((key) => readFields(set[key].value));
+}
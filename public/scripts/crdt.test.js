@@ -0,0 +1,298 @@
+/**
+ * Replays of interleaved session events, and edits made through a running
+ * session server. Every replica has to end up in the same state whatever
+ * order the same events reach it in
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { WebSocket } from "ws";
+import {
+  LocalStorageAdapter,
+  SESSION_EVENTS,
+  SessionStorage,
+  applySessionEvent,
+  exportSessionState,
+  importSessionState,
+  mergeSyncStates,
+  withStorageAdapter,
+} from "./storage.js";
+
+function event(type, payload, clock, replica) {
+  return { type, payload, stamp: { clock, replica } };
+}
+
+/**
+ * The shared state a fresh replica has after applying the events in order
+ */
+function replay(events) {
+  const adapter = new LocalStorageAdapter({ memoryOnly: true });
+  return withStorageAdapter(adapter, () => {
+    events.forEach((e) => applySessionEvent(e));
+    return exportSessionState();
+  });
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(
+      (rest) => [item, ...rest]
+    )
+  );
+}
+
+// Same shuffles on every run, so a failure can be replayed
+function shuffled(items, seed) {
+  const result = [...items];
+  let state = seed;
+  for (let i = result.length - 1; i > 0; i--) {
+    state = (state * 1103515245 + 12345) % 2 ** 31;
+    const j = state % (i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function assertSameEverywhere(orders) {
+  const [first, ...rest] = orders.map(replay);
+  rest.forEach((state) => assert.deepEqual(state, first));
+  return first;
+}
+
+const eggs = { id: "eggs", name: "Eggs", quantity: "6" };
+
+const addRemoveEvents = [
+  event(SESSION_EVENTS.INGREDIENT_ADD, { ingredient: eggs }, 1, "alice"),
+  event(SESSION_EVENTS.INGREDIENT_REMOVE, { ingredientId: "eggs" }, 2, "bob"),
+  // Concurrent with bob's removal, and wins it on the replica id
+  event(
+    SESSION_EVENTS.INGREDIENT_ADD,
+    { ingredient: { ...eggs, quantity: "12" } },
+    2,
+    "carol"
+  ),
+  event(SESSION_EVENTS.BLACKLIST_ADD, { ingredient: "cilantro" }, 1, "bob"),
+  event(
+    SESSION_EVENTS.BLACKLIST_REMOVE,
+    { ingredient: "cilantro" },
+    3,
+    "alice"
+  ),
+];
+
+const registerEvents = [
+  event(
+    SESSION_EVENTS.CONTEXT_SET,
+    { context: "Weeknight dinner" },
+    4,
+    "alice"
+  ),
+  event(SESSION_EVENTS.CONTEXT_SET, { context: "Lazy brunch" }, 4, "bob"),
+  event(SESSION_EVENTS.CONTEXT_SET, { context: "Picnic" }, 3, "carol"),
+  event(
+    SESSION_EVENTS.VOTE_CAST,
+    { recipeId: "r1", userId: "alice", voteType: "up" },
+    5,
+    "alice"
+  ),
+  event(
+    SESSION_EVENTS.VOTE_CAST,
+    { recipeId: "r1", userId: "alice", voteType: "down" },
+    5,
+    "dave"
+  ),
+];
+
+const fieldEvents = [
+  event(SESSION_EVENTS.INGREDIENT_ADD, { ingredient: eggs }, 1, "alice"),
+  event(
+    SESSION_EVENTS.INGREDIENT_UPDATE,
+    { ingredientId: "eggs", updates: { quantity: "4" } },
+    2,
+    "alice"
+  ),
+  event(
+    SESSION_EVENTS.INGREDIENT_UPDATE,
+    {
+      ingredientId: "eggs",
+      updates: { quantity: "3", expiresAt: "2026-10-20" },
+    },
+    2,
+    "bob"
+  ),
+  event(
+    SESSION_EVENTS.INGREDIENT_UPDATE,
+    { ingredientId: "eggs", updates: { name: "Free-range eggs" } },
+    3,
+    "carol"
+  ),
+];
+
+test("add and remove of the same item converge in every order", () => {
+  const state = assertSameEverywhere(permutations(addRemoveEvents));
+
+  assert.deepEqual(
+    state.ingredients.map((i) => [i.id, i.quantity]),
+    [["eggs", "12"]]
+  );
+  assert.deepEqual(state.blacklist, []);
+});
+
+test("concurrent writes to the same register converge in every order", () => {
+  const state = assertSameEverywhere(permutations(registerEvents));
+
+  assert.equal(state.context, "Lazy brunch");
+  assert.deepEqual(state.votes, { alice: { r1: "down" } });
+});
+
+test("concurrent updates to one item keep the latest value per field", () => {
+  const state = assertSameEverywhere(permutations(fieldEvents));
+
+  assert.deepEqual(state.ingredients, [
+    {
+      id: "eggs",
+      name: "Free-range eggs",
+      quantity: "3",
+      expiresAt: "2026-10-20",
+    },
+  ]);
+});
+
+test("all of it interleaved converges in shuffled orders", () => {
+  const events = [...addRemoveEvents, ...registerEvents, ...fieldEvents];
+  const orders = [events, [...events].reverse()];
+  for (let seed = 1; seed <= 50; seed++) orders.push(shuffled(events, seed));
+
+  assertSameEverywhere(orders);
+});
+
+test("merging replicas that saw half the events each matches a replay", () => {
+  const events = [...addRemoveEvents, ...registerEvents];
+  const half = Math.ceil(events.length / 2);
+  const left = replay(events.slice(0, half)).sync;
+  const right = replay(events.slice(half)).sync;
+
+  assert.deepEqual(mergeSyncStates(left, right), mergeSyncStates(right, left));
+  assert.deepEqual(mergeSyncStates(left, right), replay(events).sync);
+});
+
+/**
+ * A participant's browser talking to a real session server: its own
+ * replica, and every message the server sent it
+ */
+class Participant {
+  constructor(url, user) {
+    this.user = user;
+    this.store = new LocalStorageAdapter({ memoryOnly: true });
+    this.messages = [];
+    this.waiters = [];
+    this.socket = new WebSocket(url);
+    this.opened = new Promise((resolve) => this.socket.on("open", resolve));
+
+    this.socket.on("message", (data) => {
+      const message = JSON.parse(data.toString());
+      this.messages.push(message);
+      this.inStore(() => {
+        if (message.type === "session:state") {
+          importSessionState(message.state);
+        } else if (message.type === "session:event") {
+          applySessionEvent(message.event);
+        }
+      });
+      this.waiters = this.waiters.filter((waiter) => !waiter());
+    });
+  }
+
+  inStore(callback) {
+    return withStorageAdapter(this.store, callback);
+  }
+
+  send(message) {
+    this.socket.send(JSON.stringify({ ...message, user: this.user }));
+  }
+
+  // Resolves once a message the server sent passes the check
+  waitFor(check) {
+    return new Promise((resolve) => {
+      const waiter = () => this.messages.some(check) && (resolve(), true);
+      if (!waiter()) this.waiters.push(waiter);
+    });
+  }
+
+  // Apply a change locally with this browser's own stamp and send it
+  write(type, payload) {
+    const sent = this.inStore(() => {
+      const e = event(
+        type,
+        payload,
+        exportSessionState().sync.clock + 1,
+        `0${this.user.id}`
+      );
+      applySessionEvent(e);
+      return e;
+    });
+    this.send({ type: "session:event", event: sent });
+  }
+}
+
+test("concurrent edits through the relay converge everywhere", async () => {
+  // The server keeps its files in a directory of its own
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "pantry-party-"));
+  process.env.PANTRY_PARTY_DATA_DIR = dataDir;
+  const { attachSessionServer } = await import("../../src/server/sessions.js");
+  const { issueSession } = await import("../../src/server/identity.js");
+  const { FileStorageAdapter } = await import(
+    "../../src/server/file-storage.js"
+  );
+
+  const server = http.createServer();
+  attachSessionServer(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `ws://localhost:${server.address().port}/ws`;
+
+  const alice = new Participant(url, { id: "alice", name: "Alice" });
+  const bob = new Participant(url, { id: "bob", name: "Bob" });
+  try {
+    const { code, hostSecret } = issueSession("alice");
+    const state = alice.inStore(() => {
+      SessionStorage.create(code, "alice", "Alice", hostSecret);
+      return exportSessionState();
+    });
+
+    await alice.opened;
+    alice.send({ type: "session:open", code, hostSecret, state });
+    await alice.waitFor((m) => m.type === "session:state");
+    await bob.opened;
+    bob.send({ type: "session:join", code });
+    await bob.waitFor((m) => m.type === "session:state");
+    await alice.waitFor(
+      (m) => m.event?.type === SESSION_EVENTS.PARTICIPANT_JOIN
+    );
+
+    const isContext = (context) => (m) => m.event?.payload.context === context;
+    alice.write(SESSION_EVENTS.CONTEXT_SET, { context: "from Alice" });
+    bob.write(SESSION_EVENTS.CONTEXT_SET, { context: "from Bob" });
+    await alice.waitFor(isContext("from Bob"));
+    await bob.waitFor(isContext("from Alice"));
+    // Whatever else the room sends back
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const room = withStorageAdapter(new FileStorageAdapter(code), () =>
+      exportSessionState()
+    );
+    const contexts = [alice, bob].map((p) =>
+      p.inStore(() => exportSessionState().context)
+    );
+    assert.deepEqual(contexts, [room.context, room.context]);
+  } finally {
+    alice.socket.close();
+    bob.socket.close();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
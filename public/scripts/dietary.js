@@ -0,0 +1,388 @@
+/**
+ * Dietary profiles for Pantry Party
+ * Each participant picks the restrictions they follow; the session combines them
+ * into hard constraints for the recipe prompt and checks generated recipes
+ * against an allergen map
+ */
+
+// Ingredients belonging to each food group, matched as whole words
+export const FOOD_GROUPS = {
+  meat: [
+    "meat",
+    "chicken",
+    "beef",
+    "steak",
+    "pork",
+    "bacon",
+    "ham",
+    "lamb",
+    "mutton",
+    "veal",
+    "turkey",
+    "duck",
+    "sausage",
+    "chorizo",
+    "salami",
+    "pepperoni",
+    "prosciutto",
+    "pancetta",
+    "gelatin",
+    "lard",
+    "venison",
+    "mince",
+  ],
+  fish: [
+    "fish",
+    "salmon",
+    "tuna",
+    "cod",
+    "haddock",
+    "halibut",
+    "tilapia",
+    "trout",
+    "mackerel",
+    "sardine",
+    "anchovy",
+    "anchovies",
+    "fish sauce",
+    "worcestershire",
+  ],
+  shellfish: [
+    "shellfish",
+    "shrimp",
+    "prawn",
+    "crab",
+    "lobster",
+    "crayfish",
+    "clam",
+    "mussel",
+    "oyster",
+    "scallop",
+    "squid",
+    "calamari",
+    "octopus",
+    "oyster sauce",
+  ],
+  dairy: [
+    "milk",
+    "butter",
+    "cream",
+    "cheese",
+    "cheddar",
+    "mozzarella",
+    "parmesan",
+    "feta",
+    "ricotta",
+    "yogurt",
+    "yoghurt",
+    "ghee",
+    "whey",
+    "buttermilk",
+  ],
+  egg: ["egg", "mayonnaise", "mayo", "meringue", "aioli"],
+  honey: ["honey"],
+  gluten: [
+    "flour",
+    "wheat",
+    "bread",
+    "breadcrumb",
+    "bun",
+    "bagel",
+    "pita",
+    "pastry",
+    "phyllo",
+    "panko",
+    "pasta",
+    "spaghetti",
+    "noodle",
+    "couscous",
+    "barley",
+    "rye",
+    "bulgur",
+    "semolina",
+    "tortilla",
+    "cracker",
+    "seitan",
+    "soy sauce",
+    "beer",
+  ],
+  peanut: ["peanut"],
+  treeNut: [
+    // "nuts", "mixed nuts", "nut butter"
+    "nut",
+    "almond",
+    "walnut",
+    "cashew",
+    "pecan",
+    "pistachio",
+    "hazelnut",
+    "macadamia",
+    "pine nut",
+    "brazil nut",
+    "chestnut",
+    "praline",
+    "marzipan",
+  ],
+  soy: ["soy", "soya", "tofu", "edamame", "tempeh", "miso", "tamari"],
+  pork: [
+    "pork",
+    "bacon",
+    "ham",
+    "prosciutto",
+    "pancetta",
+    "chorizo",
+    "salami",
+    "pepperoni",
+    "lard",
+    "gelatin",
+  ],
+  alcohol: [
+    "wine",
+    "beer",
+    "rum",
+    "vodka",
+    "gin",
+    "brandy",
+    "whiskey",
+    "bourbon",
+    "sake",
+    "mirin",
+    "liqueur",
+    "sherry",
+  ],
+};
+
+// Phrases that look like a group's ingredient but aren't
+const NOT_IN_GROUP = {
+  dairy: [
+    "peanut butter",
+    "almond butter",
+    "cocoa butter",
+    "coconut milk",
+    "coconut cream",
+    "almond milk",
+    "oat milk",
+    "soy milk",
+    "rice milk",
+    "cream of tartar",
+    "dairy-free",
+    "vegan cheese",
+    "vegan butter",
+  ],
+  egg: ["eggplant", "egg-free", "vegan mayonnaise"],
+  gluten: [
+    "gluten-free",
+    "rice noodle",
+    "rice flour",
+    "almond flour",
+    "coconut flour",
+    "chickpea flour",
+    "corn tortilla",
+    "buckwheat",
+  ],
+  meat: ["meatless", "plant-based", "coconut meat"],
+  treeNut: ["nutmeg", "water chestnut", "nut-free"],
+  fish: ["fish-free"],
+};
+
+/**
+ * Restrictions a participant can follow
+ * Allergies are blocked (the recipe is rejected), diets are flagged as warnings
+ */
+export const DIETARY_RESTRICTIONS = {
+  vegetarian: {
+    label: "Vegetarian",
+    rule: "no meat, poultry, fish or shellfish",
+    avoids: ["meat", "fish", "shellfish"],
+    severity: "flag",
+  },
+  vegan: {
+    label: "Vegan",
+    rule: "no animal products: no meat, fish, shellfish, dairy, eggs or honey",
+    avoids: ["meat", "fish", "shellfish", "dairy", "egg", "honey"],
+    severity: "flag",
+  },
+  pescatarian: {
+    label: "Pescatarian",
+    rule: "no meat or poultry (fish and shellfish are fine)",
+    avoids: ["meat"],
+    severity: "flag",
+  },
+  "gluten-free": {
+    label: "Gluten-free",
+    rule: "no wheat, barley, rye or anything made from them, including regular soy sauce",
+    avoids: ["gluten"],
+    severity: "block",
+  },
+  "dairy-free": {
+    label: "Dairy-free",
+    rule: "no milk, butter, cream, cheese, yogurt or other dairy",
+    avoids: ["dairy"],
+    severity: "flag",
+  },
+  "nut-allergy": {
+    label: "Nut allergy",
+    rule: "no peanuts or tree nuts of any kind, including nut oils, butters and flours",
+    avoids: ["peanut", "treeNut"],
+    severity: "block",
+  },
+  "peanut-allergy": {
+    label: "Peanut allergy",
+    rule: "no peanuts, peanut butter or peanut oil",
+    avoids: ["peanut"],
+    severity: "block",
+  },
+  "shellfish-allergy": {
+    label: "Shellfish allergy",
+    rule: "no shellfish (shrimp, crab, lobster, mussels, clams, oysters, scallops, squid) or oyster sauce",
+    avoids: ["shellfish"],
+    severity: "block",
+  },
+  "fish-allergy": {
+    label: "Fish allergy",
+    rule: "no fish, fish sauce, anchovies or Worcestershire sauce",
+    avoids: ["fish"],
+    severity: "block",
+  },
+  "egg-allergy": {
+    label: "Egg allergy",
+    rule: "no eggs or egg-based ingredients such as mayonnaise",
+    avoids: ["egg"],
+    severity: "block",
+  },
+  "soy-allergy": {
+    label: "Soy allergy",
+    rule: "no soy, tofu, edamame, tempeh, miso or soy sauce",
+    avoids: ["soy"],
+    severity: "block",
+  },
+  halal: {
+    label: "Halal",
+    rule: "no pork or pork products and no alcohol; meat must be halal",
+    avoids: ["pork", "alcohol"],
+    severity: "flag",
+  },
+  kosher: {
+    label: "Kosher",
+    rule: "no pork or shellfish, and never combine meat with dairy",
+    avoids: ["pork", "shellfish"],
+    neverTogether: ["meat", "dairy"],
+    severity: "flag",
+  },
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Food groups an ingredient line belongs to, e.g. "2 tbsp butter" -> ["dairy"]
+ */
+export function findFoodGroups(line) {
+  const text = String(line).toLowerCase();
+
+  return Object.entries(FOOD_GROUPS)
+    .filter(([group, keywords]) => {
+      let cleaned = text;
+      (NOT_IN_GROUP[group] || []).forEach((phrase) => {
+        cleaned = cleaned.replaceAll(phrase, " ");
+      });
+      return keywords.some((keyword) =>
+        new RegExp(`\\b${escapeRegExp(keyword)}(e?s)?\\b`).test(cleaned)
+      );
+    })
+    .map(([group]) => group);
+}
+
+/**
+ * Keep only known restriction ids
+ */
+export function normalizeDietaryProfile(profile) {
+  const restrictions = (profile?.restrictions || []).filter(
+    (id) => id in DIETARY_RESTRICTIONS
+  );
+  return { restrictions: [...new Set(restrictions)] };
+}
+
+/**
+ * Combine everyone's profiles into one list of constraints
+ * Returns [{ id, label, rule, severity, participants: [names] }]
+ */
+export function combineDietaryProfiles(participants = []) {
+  const constraints = new Map();
+
+  participants.forEach((participant) => {
+    normalizeDietaryProfile(participant.dietaryProfile).restrictions.forEach(
+      (id) => {
+        if (!constraints.has(id)) {
+          constraints.set(id, {
+            id,
+            ...DIETARY_RESTRICTIONS[id],
+            participants: [],
+          });
+        }
+        constraints.get(id).participants.push(participant.name);
+      }
+    );
+  });
+
+  return [...constraints.values()];
+}
+
+/**
+ * Prompt section stating every constraint as a hard requirement
+ */
+export function describeDietaryConstraints(constraints) {
+  if (constraints.length === 0) return "";
+
+  const lines = constraints.map(
+    (constraint) =>
+      `- ${constraint.label} (${constraint.participants.join(", ")}): ${constraint.rule}`
+  );
+  return `HARD DIETARY REQUIREMENTS - the recipe must satisfy every one of these, they are not optional:\n${lines.join("\n")}`;
+}
+
+/**
+ * Check a recipe's ingredient lines against the session's constraints
+ * Returns [{ constraint, severity, participants, ingredients, groups, message }]
+ */
+export function checkRecipeDiet(recipe, constraints) {
+  const lines = (recipe.ingredients || []).map((line) => ({
+    line,
+    groups: findFoodGroups(line),
+  }));
+  const linesIn = (group) => lines.filter((item) => item.groups.includes(group));
+
+  const conflicts = [];
+  constraints.forEach((constraint) => {
+    const participants = constraint.participants.join(", ");
+
+    const offending = lines.filter((item) =>
+      item.groups.some((group) => constraint.avoids.includes(group))
+    );
+    if (offending.length > 0) {
+      conflicts.push({
+        constraint: constraint.id,
+        severity: constraint.severity,
+        participants: constraint.participants,
+        ingredients: offending.map((item) => item.line),
+        message: `${constraint.label} (${participants}): contains ${offending.map((item) => item.line).join(", ")}`,
+      });
+    }
+
+    // Kosher: meat and dairy in the same dish
+    const [first, second] = constraint.neverTogether || [];
+    if (first && linesIn(first).length > 0 && linesIn(second).length > 0) {
+      const mixed = [...linesIn(first), ...linesIn(second)];
+      conflicts.push({
+        constraint: constraint.id,
+        severity: constraint.severity,
+        participants: constraint.participants,
+        ingredients: mixed.map((item) => item.line),
+        message: `${constraint.label} (${participants}): combines ${first} and ${second}`,
+      });
+    }
+  });
+
+  return conflicts;
+}
@@ -0,0 +1,32 @@
+/**
+ * Which food groups recipe lines belong to
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findFoodGroups } from "./dietary.js";
+
+test("generic nuts are tree nuts", () => {
+  [
+    "1/2 cup chopped nuts",
+    "1 cup mixed nuts, toasted",
+    "2 tbsp nut butter",
+    "Nuts, for topping",
+    "200 g roasted chestnuts",
+  ].forEach((line) => {
+    assert.ok(findFoodGroups(line).includes("treeNut"), line);
+  });
+});
+
+test("words that only contain nut aren't tree nuts", () => {
+  [
+    "1/4 tsp ground nutmeg",
+    "1 can water chestnuts, sliced",
+    "1 cup coconut milk",
+    "1 butternut squash",
+    "2 tbsp nutritional yeast",
+    "nut-free pesto",
+  ].forEach((line) => {
+    assert.ok(!findFoodGroups(line).includes("treeNut"), line);
+  });
+});
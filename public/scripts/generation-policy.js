@@ -0,0 +1,120 @@
+/**
+ * Recipe generation policy for Pantry Party
+ * The host decides who may generate recipes, how many each participant gets
+ * and how much the whole session may spend. Checked in the browser before a
+ * generation starts and again by the session server when the request arrives
+ */
+
+export const GENERATION_STATUS = {
+  PENDING: "pending", // waiting for the host to run it with their key
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// "own": the participant's key, "host": run by the host with the host's key
+export const GENERATION_MODES = { OWN: "own", HOST: "host" };
+
+export const DEFAULT_GENERATION_POLICY = {
+  allowRecipeGeneration: true,
+  generationLimit: null, // recipes per participant, null for no limit
+  generationBudget: null, // estimated dollars per session, null for no limit
+  shareHostKey: false,
+};
+
+/**
+ * The session's policy, with defaults for sessions created before it existed
+ */
+export function getGenerationPolicy(session) {
+  const policy = { ...DEFAULT_GENERATION_POLICY };
+  Object.keys(policy).forEach((key) => {
+    if (session?.[key] !== undefined && session[key] !== "") {
+      policy[key] = session[key];
+    }
+  });
+  return policy;
+}
+
+/**
+ * Failed and cancelled generations don't use up anyone's allowance
+ */
+export function countsTowardLimits(generation) {
+  return (
+    generation.status !== GENERATION_STATUS.FAILED &&
+    generation.status !== GENERATION_STATUS.CANCELLED
+  );
+}
+
+/**
+ * How much of the session's allowance has been used
+ * Returns { count, cost } for the user and { sessionCount, sessionCost }
+ */
+export function getGenerationUsage(generations, userId) {
+  const counted = generations.filter(countsTowardLimits);
+  const mine = counted.filter((generation) => generation.userId === userId);
+  const totalCost = (list) =>
+    list.reduce((sum, generation) => sum + (generation.estimatedCost || 0), 0);
+
+  return {
+    count: mine.length,
+    cost: totalCost(mine),
+    sessionCount: counted.length,
+    sessionCost: totalCost(counted),
+  };
+}
+
+/**
+ * Whether a user may start a generation
+ * Returns { allowed, reason }, reason explains a refusal to the user
+ */
+export function checkGenerationAllowed({
+  session,
+  generations = [],
+  userId,
+  mode = GENERATION_MODES.OWN,
+  estimatedCost = 0,
+}) {
+  if (!session) return { allowed: true, reason: null };
+
+  const policy = getGenerationPolicy(session);
+  const isHost = userId === session.hostId;
+  const usage = getGenerationUsage(generations, userId);
+
+  if (!isHost && !policy.allowRecipeGeneration) {
+    return {
+      allowed: false,
+      reason: "The host has turned off recipe generation for participants",
+    };
+  }
+
+  if (mode === GENERATION_MODES.HOST && !isHost && !policy.shareHostKey) {
+    return {
+      allowed: false,
+      reason: "The host isn't sharing their API key",
+    };
+  }
+
+  if (
+    !isHost &&
+    policy.generationLimit !== null &&
+    usage.count >= policy.generationLimit
+  ) {
+    return {
+      allowed: false,
+      reason: `You've used all ${policy.generationLimit} of your recipe generations`,
+    };
+  }
+
+  if (
+    policy.generationBudget !== null &&
+    usage.sessionCost + (estimatedCost || 0) > policy.generationBudget
+  ) {
+    return {
+      allowed: false,
+      reason: `The session's budget of $${Number(policy.generationBudget).toFixed(2)} is used up`,
+    };
+  }
+
+  return { allowed: true, reason: null };
+}
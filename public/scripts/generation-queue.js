@@ -0,0 +1,591 @@
+/**
+ * Recipe generation runs for Pantry Party
+ * A participant generates with their own key, or, when the host shares theirs,
+ * asks the host's browser to run the request so the key never leaves it.
+ * Every run, including refinements of an existing recipe and the meals of a
+ * plan, is recorded in the session's generation ledger
+ */
+
+import {
+  GenerationStorage,
+  IngredientsStorage,
+  MealPlanStorage,
+  PriceStorage,
+  RecipeStorage,
+  SessionStorage,
+  SESSION_EVENTS,
+  subscribeToSessionEvents,
+} from "./storage.js";
+import {
+  generateRecipe,
+  refineRecipe,
+  estimateApiCost,
+  getActiveProvider,
+  isValidApiKey,
+} from "./openai.js";
+import {
+  KEY_STATUS,
+  getApiKey,
+  getKeyStatus,
+  requestApiKey,
+} from "./api-key.js";
+import {
+  GENERATION_MODES,
+  GENERATION_STATUS,
+  checkGenerationAllowed,
+  getGenerationPolicy,
+} from "./generation-policy.js";
+import { addUsage, costOfUsage, getPriceTable } from "./usage.js";
+import {
+  buildRevision,
+  getRecipeVersions,
+  getRootId,
+} from "./recipe-versions.js";
+import { findSimilarRecipe, pickDirections } from "./recipe-diversity.js";
+import { listSlots, mainIngredient, planFocus } from "./meal-plan.js";
+
+// Options generated at the same time
+const OPTION_CONCURRENCY = 2;
+
+// Times an option that repeats an existing recipe is asked for again
+const SIMILAR_RETRIES = 1;
+
+// Recent titles the model is told to stay away from
+const MAX_AVOIDED_TITLES = 10;
+
+/**
+ * Which key a user would generate with: GENERATION_MODES.OWN, .HOST or null
+ */
+export function getGenerationMode(user) {
+  // A locked key counts, the user is asked to unlock it when generating
+  if (getKeyStatus() === KEY_STATUS.LOCKED || isValidApiKey(getApiKey())) {
+    return GENERATION_MODES.OWN;
+  }
+
+  const session = SessionStorage.get();
+  if (
+    session &&
+    user &&
+    session.hostId !== user.id &&
+    getGenerationPolicy(session).shareHostKey
+  ) {
+    return GENERATION_MODES.HOST;
+  }
+  return null;
+}
+
+/**
+ * Whether the host's policy lets this user generate a recipe now
+ */
+export function checkCanGenerate(user, mode = getGenerationMode(user)) {
+  return checkGenerationAllowed({
+    session: SessionStorage.get(),
+    generations: GenerationStorage.get(),
+    userId: user.id,
+    mode,
+    // The host prices shared-key requests with their own model
+    estimatedCost:
+      mode === GENERATION_MODES.OWN ? estimateApiCost() || 0 : 0,
+  });
+}
+
+// What a generated recipe really cost, once its usage is known
+function recipeCost(recipe, fallback) {
+  const cost = costOfUsage(
+    recipe.usage,
+    recipe.model,
+    getPriceTable(PriceStorage.get())
+  );
+  return cost ?? fallback;
+}
+
+function finishedStatus(error) {
+  return error.name === "AbortError"
+    ? GENERATION_STATUS.CANCELLED
+    : GENERATION_STATUS.FAILED;
+}
+
+/**
+ * Generate one of several options, steered toward its direction
+ * A result too close to a recipe the session already has is rejected and
+ * asked for again, up to SIMILAR_RETRIES times
+ */
+async function generateOption(generation, options) {
+  const avoidTitles = [
+    ...new Set(RecipeStorage.get().map((recipe) => recipe.title)),
+  ].slice(-MAX_AVOIDED_TITLES);
+  let usage = null;
+  let similar = null;
+
+  for (let attempt = 0; attempt <= SIMILAR_RETRIES; attempt++) {
+    const recipe = await generateRecipe({
+      ...options,
+      direction: generation.direction,
+      avoidTitles,
+    });
+    usage = addUsage(usage, recipe.usage);
+
+    similar = findSimilarRecipe(recipe, RecipeStorage.get());
+    if (!similar) return { ...recipe, usage };
+
+    console.warn(`Rejected "${recipe.title}" as a repeat:`, similar.reason);
+    avoidTitles.push(recipe.title);
+  }
+
+  throw new Error(`The recipe was rejected because ${similar.reason}`);
+}
+
+/**
+ * Generate the recipe for one slot of a meal plan
+ * A result whose main ingredient another meal already has is asked for again,
+ * up to SIMILAR_RETRIES times, then kept with a warning
+ */
+async function generateMeal(generation, options) {
+  const mealSlot = {
+    ...generation.mealSlot,
+    avoidMains: [...generation.mealSlot.avoidMains],
+  };
+  let usage = null;
+
+  for (let attempt = 0; ; attempt++) {
+    const recipe = await generateRecipe({
+      ...options,
+      favorExpiring: false,
+      mealSlot,
+    });
+    usage = addUsage(usage, recipe.usage);
+
+    const main = mainIngredient(recipe);
+    if (!mealSlot.avoidMains.includes(main)) return { ...recipe, usage };
+
+    if (attempt === SIMILAR_RETRIES) {
+      const warning = `Another meal in the plan is also built around ${main}`;
+      return {
+        ...recipe,
+        usage,
+        warnings: [...(recipe.warnings || []), warning],
+      };
+    }
+    console.warn(`Rejected "${recipe.title}", it repeats ${main}`);
+  }
+}
+
+/**
+ * Generate the recipe a ledger entry asks for and add it to the session
+ * An entry with a parentId is a refinement, added as a revision of that
+ * recipe; one with a direction is one of several options, one with a
+ * mealSlot fills a slot of the meal plan. The recipe names the entry, so the
+ * session server knows which request it answers
+ */
+async function produceRecipe(generation, options) {
+  const requestedBy = { id: generation.userId, name: generation.userName };
+
+  if (!generation.parentId) {
+    const recipe = generation.mealSlot
+      ? await generateMeal(generation, options)
+      : generation.direction
+        ? await generateOption(generation, options)
+        : await generateRecipe(options);
+    return RecipeStorage.add({
+      ...recipe,
+      requestedBy,
+      generationId: generation.id,
+    });
+  }
+
+  const recipes = RecipeStorage.get();
+  const parent = recipes.find((r) => r.id === generation.parentId);
+  if (!parent) throw new Error("The recipe was deleted");
+
+  const recipe = await refineRecipe(parent, generation.instruction, options);
+  return RecipeStorage.add({
+    ...buildRevision(parent, recipe, {
+      instruction: generation.instruction,
+      versions: getRecipeVersions(recipes, getRootId(parent)),
+    }),
+    requestedBy,
+    generationId: generation.id,
+  });
+}
+
+// Run a ledger entry with this user's own key
+async function runWithOwnKey(user, fields, options) {
+  const { allowed, reason } = checkCanGenerate(user, GENERATION_MODES.OWN);
+  if (!allowed) throw new Error(reason);
+
+  const { model } = getActiveProvider();
+  const generation = GenerationStorage.request({
+    userId: user.id,
+    userName: user.name,
+    mode: GENERATION_MODES.OWN,
+    status: GENERATION_STATUS.RUNNING,
+    model: options.model || model,
+    estimatedCost: estimateApiCost(options.model || model) || 0,
+    ...fields,
+  });
+
+  try {
+    const saved = await produceRecipe(generation, options);
+    GenerationStorage.update(generation.id, {
+      status: GENERATION_STATUS.DONE,
+      recipeId: saved.id,
+      estimatedCost: recipeCost(saved, generation.estimatedCost),
+    });
+    return saved;
+  } catch (error) {
+    GenerationStorage.update(generation.id, {
+      status: finishedStatus(error),
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Generate a recipe with this user's own key and add it to the session
+ * Takes the generateRecipe options, returns the saved recipe
+ */
+export function generateWithOwnKey(user, options = {}) {
+  return runWithOwnKey(user, {}, options);
+}
+
+/**
+ * Refine a recipe with this user's own key, adding the result as a revision
+ * Takes the refineRecipe options, returns the saved revision
+ */
+export function refineWithOwnKey(user, recipe, instruction, options = {}) {
+  return runWithOwnKey(
+    user,
+    { parentId: recipe.id, instruction: instruction.trim() },
+    options
+  );
+}
+
+// Ask the host to run a ledger entry with their key
+function requestFromHost(user, fields, { signal = null, onStatus = null }) {
+  const { allowed, reason } = checkCanGenerate(user, GENERATION_MODES.HOST);
+  if (!allowed) return Promise.reject(new Error(reason));
+
+  const generation = GenerationStorage.request({
+    userId: user.id,
+    userName: user.name,
+    mode: GENERATION_MODES.HOST,
+    status: GENERATION_STATUS.PENDING,
+    estimatedCost: 0,
+    ...fields,
+  });
+  onStatus?.(GENERATION_STATUS.PENDING);
+
+  return new Promise((resolve, reject) => {
+    const unsubscribe = subscribeToSessionEvents(
+      SESSION_EVENTS.GENERATION_UPDATE,
+      ({ payload }) => {
+        if (payload.generationId !== generation.id) return;
+
+        const current = GenerationStorage.get().find(
+          (g) => g.id === generation.id
+        );
+        onStatus?.(current.status);
+
+        if (current.status === GENERATION_STATUS.DONE) {
+          finish();
+          resolve(RecipeStorage.get().find((r) => r.id === current.recipeId));
+        } else if (current.status === GENERATION_STATUS.FAILED) {
+          finish();
+          reject(new Error(current.error || "The host couldn't generate it"));
+        } else if (current.status === GENERATION_STATUS.CANCELLED) {
+          finish();
+          reject(new DOMException("Generation cancelled", "AbortError"));
+        }
+      }
+    );
+
+    const withdraw = () => {
+      GenerationStorage.update(generation.id, {
+        status: GENERATION_STATUS.CANCELLED,
+      });
+    };
+    signal?.addEventListener("abort", withdraw);
+
+    function finish() {
+      unsubscribe();
+      signal?.removeEventListener("abort", withdraw);
+    }
+  });
+}
+
+/**
+ * Ask the host to generate a recipe with their key
+ * Resolves with the recipe once the host has added it; onStatus is called with
+ * each status change ("pending", "running"). Aborting the signal withdraws
+ * the request
+ */
+export function requestHostGeneration(
+  user,
+  { favorExpiring = true, signal = null, onStatus = null } = {}
+) {
+  return requestFromHost(user, { favorExpiring }, { signal, onStatus });
+}
+
+/**
+ * Ask the host to refine a recipe with their key
+ * Resolves with the revision, see requestHostGeneration
+ */
+export function requestHostRefinement(
+  user,
+  recipe,
+  instruction,
+  { signal = null, onStatus = null } = {}
+) {
+  return requestFromHost(
+    user,
+    { parentId: recipe.id, instruction: instruction.trim() },
+    { signal, onStatus }
+  );
+}
+
+// Run worker over items, with at most limit running at once
+async function mapWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    }
+  );
+  await Promise.all(runners);
+}
+
+/**
+ * Generate count different recipes at once, each steered toward its own
+ * cuisine and technique, with this user's key or the host's (mode)
+ * Takes the generateRecipe options. Each recipe is added to the session as it
+ * arrives and onOption is called with { index, direction, recipe, error }
+ * Returns { recipes, errors }; rejects with an AbortError if cancelled
+ */
+export async function generateRecipeOptions(
+  user,
+  count,
+  {
+    mode = getGenerationMode(user),
+    signal = null,
+    onOption = null,
+    ...options
+  } = {}
+) {
+  const recipes = [];
+  const errors = [];
+
+  await mapWithConcurrency(
+    pickDirections(count),
+    OPTION_CONCURRENCY,
+    async (direction, index) => {
+      if (signal?.aborted) return;
+
+      try {
+        const recipe =
+          mode === GENERATION_MODES.HOST
+            ? await requestFromHost(
+                user,
+                { favorExpiring: options.favorExpiring ?? true, direction },
+                { signal }
+              )
+            : await runWithOwnKey(user, { direction }, { ...options, signal });
+        recipes.push(recipe);
+        onOption?.({ index, direction, recipe, error: null });
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        errors.push({ index, direction, error: error.message });
+        onOption?.({ index, direction, recipe: null, error });
+      }
+    }
+  );
+
+  if (signal?.aborted) {
+    throw new DOMException("Generation cancelled", "AbortError");
+  }
+  return { recipes, errors };
+}
+
+/**
+ * Fill the meal plan's empty slots, in calendar order, with this user's key or
+ * the host's (mode)
+ * Each meal is asked to use up its share of the perishables and to stay away
+ * from the main ingredients of the meals before it, so they run one at a time.
+ * Takes the generateRecipe options; onSlot is called with
+ * { slot, recipe, error } as each slot is filled
+ * Returns { recipes, errors }; rejects with an AbortError if cancelled
+ */
+export async function generateMealPlan(
+  user,
+  {
+    mode = getGenerationMode(user),
+    signal = null,
+    onSlot = null,
+    ...options
+  } = {}
+) {
+  const allRecipes = RecipeStorage.get();
+  const recipesById = new Map(allRecipes.map((r) => [r.id, r]));
+  const slots = listSlots(MealPlanStorage.get());
+  const empty = slots.filter((slot) => !slot.entry);
+  const focus = planFocus(slots, allRecipes, IngredientsStorage.get());
+  const mains = slots
+    .filter((slot) => slot.entry)
+    .map((slot) => recipesById.get(slot.entry.recipeId))
+    .filter(Boolean)
+    .map(mainIngredient);
+
+  const recipes = [];
+  const errors = [];
+
+  for (const slot of empty) {
+    if (signal?.aborted) break;
+
+    const mealSlot = {
+      date: slot.date,
+      meal: slot.meal,
+      focus: focus[slot.key],
+      avoidMains: [...new Set(mains.filter(Boolean))],
+    };
+
+    try {
+      const recipe =
+        mode === GENERATION_MODES.HOST
+          ? await requestFromHost(user, { mealSlot }, { signal })
+          : await runWithOwnKey(user, { mealSlot }, { ...options, signal });
+      MealPlanStorage.assign(slot.key, recipe.id);
+      mains.push(mainIngredient(recipe));
+      recipes.push(recipe);
+      onSlot?.({ slot, recipe, error: null });
+    } catch (error) {
+      if (error.name === "AbortError") break;
+      errors.push({ slot, error: error.message });
+      onSlot?.({ slot, recipe: null, error });
+    }
+  }
+
+  if (signal?.aborted) {
+    throw new DOMException("Generation cancelled", "AbortError");
+  }
+  return { recipes, errors };
+}
+
+// Host side: shared-key requests are run one at a time
+let hostQueueRunning = false;
+let activeHostRun = null;
+
+function nextHostRequest(host) {
+  if (SessionStorage.get()?.hostId !== host.id) return null;
+
+  return GenerationStorage.get()
+    .filter(
+      (g) =>
+        g.mode === GENERATION_MODES.HOST &&
+        g.status === GENERATION_STATUS.PENDING
+    )
+    .sort((a, b) => a.requestedAt - b.requestedAt)[0];
+}
+
+async function runHostRequest(generation) {
+  const fail = (error) =>
+    GenerationStorage.update(generation.id, {
+      status: GENERATION_STATUS.FAILED,
+      error,
+    });
+
+  if (getKeyStatus() === KEY_STATUS.NONE) {
+    fail("The host has no API key set");
+    return;
+  }
+  if (!isValidApiKey(await requestApiKey().catch(() => null))) {
+    fail("The host's API key is locked");
+    return;
+  }
+
+  // Check again with the host's prices, leaving out the request itself
+  const { model } = getActiveProvider();
+  const estimatedCost = estimateApiCost(model) || 0;
+  const { allowed, reason } = checkGenerationAllowed({
+    session: SessionStorage.get(),
+    generations: GenerationStorage.get().filter(
+      (g) => g.id !== generation.id
+    ),
+    userId: generation.userId,
+    mode: GENERATION_MODES.HOST,
+    estimatedCost,
+  });
+  if (!allowed) {
+    fail(reason);
+    return;
+  }
+
+  GenerationStorage.update(generation.id, {
+    status: GENERATION_STATUS.RUNNING,
+    model,
+    estimatedCost,
+  });
+  activeHostRun = { id: generation.id, controller: new AbortController() };
+
+  try {
+    const saved = await produceRecipe(generation, {
+      favorExpiring: generation.favorExpiring,
+      signal: activeHostRun.controller.signal,
+    });
+    GenerationStorage.update(generation.id, {
+      status: GENERATION_STATUS.DONE,
+      recipeId: saved.id,
+      estimatedCost: recipeCost(saved, estimatedCost),
+    });
+  } catch (error) {
+    GenerationStorage.update(generation.id, {
+      status: finishedStatus(error),
+      error: error.message,
+    });
+  } finally {
+    activeHostRun = null;
+  }
+}
+
+async function processHostQueue(host) {
+  if (hostQueueRunning) return;
+  hostQueueRunning = true;
+
+  try {
+    let generation;
+    while ((generation = nextHostRequest(host))) {
+      await runHostRequest(generation);
+    }
+  } finally {
+    hostQueueRunning = false;
+  }
+}
+
+/**
+ * Run participants' shared-key requests whenever this user is the host
+ */
+export function startHostQueue(host) {
+  const processQueue = () => processHostQueue(host);
+
+  subscribeToSessionEvents(SESSION_EVENTS.GENERATION_REQUEST, processQueue);
+  // Picks up requests left waiting when the host changes
+  subscribeToSessionEvents(SESSION_EVENTS.SESSION_UPDATE, processQueue);
+
+  // Stop a run the participant withdrew
+  subscribeToSessionEvents(
+    SESSION_EVENTS.GENERATION_UPDATE,
+    ({ payload }) => {
+      if (
+        activeHostRun?.id === payload.generationId &&
+        payload.updates.status === GENERATION_STATUS.CANCELLED
+      ) {
+        activeHostRun.controller.abort();
+      }
+    }
+  );
+
+  processQueue();
+}
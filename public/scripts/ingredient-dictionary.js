@@ -0,0 +1,449 @@
+/**
+ * Ingredient dictionary for Pantry Party
+ * Canonical ingredient names with their synonyms and spelling variants, used for
+ * autocomplete and so that "scallions" and "green onion" count as one ingredient
+ */
+
+// Synonyms are written in the singular, plurals are handled by singularize()
+export const INGREDIENT_DICTIONARY = [
+  // Produce
+  { name: "apple", category: "produce" },
+  { name: "avocado", category: "produce" },
+  { name: "banana", category: "produce" },
+  { name: "basil", category: "produce" },
+  { name: "bean sprout", category: "produce" },
+  { name: "beet", category: "produce", synonyms: ["beetroot"] },
+  {
+    name: "bell pepper",
+    category: "produce",
+    synonyms: ["capsicum", "sweet pepper"],
+  },
+  { name: "blueberry", category: "produce" },
+  { name: "bok choy", category: "produce", synonyms: ["pak choi", "pak choy"] },
+  { name: "broccoli", category: "produce" },
+  { name: "brussels sprout", category: "produce" },
+  { name: "cabbage", category: "produce" },
+  { name: "carrot", category: "produce" },
+  { name: "cauliflower", category: "produce" },
+  { name: "celery", category: "produce" },
+  {
+    name: "chili pepper",
+    category: "produce",
+    synonyms: ["chile", "chilli", "chili", "hot pepper"],
+  },
+  {
+    name: "cilantro",
+    category: "produce",
+    synonyms: ["coriander leaf", "fresh coriander", "chinese parsley"],
+  },
+  {
+    name: "corn",
+    category: "produce",
+    synonyms: ["maize", "sweetcorn", "sweet corn"],
+  },
+  { name: "cucumber", category: "produce" },
+  { name: "eggplant", category: "produce", synonyms: ["aubergine", "brinjal"] },
+  { name: "garlic", category: "produce" },
+  { name: "ginger", category: "produce", synonyms: ["ginger root"] },
+  {
+    name: "green bean",
+    category: "produce",
+    synonyms: ["string bean", "french bean", "haricot vert"],
+  },
+  {
+    name: "green onion",
+    category: "produce",
+    synonyms: ["scallion", "spring onion", "salad onion"],
+  },
+  { name: "kale", category: "produce" },
+  { name: "leek", category: "produce" },
+  { name: "lemon", category: "produce" },
+  { name: "lettuce", category: "produce" },
+  { name: "lime", category: "produce" },
+  { name: "mango", category: "produce" },
+  { name: "mint", category: "produce" },
+  { name: "mushroom", category: "produce" },
+  {
+    name: "onion",
+    category: "produce",
+    synonyms: ["yellow onion", "brown onion"],
+  },
+  { name: "orange", category: "produce" },
+  { name: "parsley", category: "produce" },
+  { name: "pea", category: "produce", synonyms: ["green pea", "garden pea"] },
+  { name: "pear", category: "produce" },
+  { name: "pineapple", category: "produce" },
+  { name: "potato", category: "produce" },
+  { name: "pumpkin", category: "produce" },
+  {
+    name: "red onion",
+    category: "produce",
+    synonyms: ["purple onion", "spanish onion"],
+  },
+  { name: "rosemary", category: "produce" },
+  { name: "arugula", category: "produce", synonyms: ["rocket", "roquette"] },
+  { name: "shallot", category: "produce" },
+  { name: "spinach", category: "produce" },
+  { name: "strawberry", category: "produce" },
+  { name: "sweet potato", category: "produce", synonyms: ["yam", "kumara"] },
+  { name: "thyme", category: "produce" },
+  { name: "tomato", category: "produce" },
+  { name: "cherry tomato", category: "produce" },
+  { name: "zucchini", category: "produce", synonyms: ["courgette"] },
+  {
+    name: "butternut squash",
+    category: "produce",
+    synonyms: ["butternut pumpkin"],
+  },
+
+  // Dairy
+  {
+    name: "butter",
+    category: "dairy",
+    synonyms: ["unsalted butter", "salted butter"],
+  },
+  { name: "cheddar", category: "dairy", synonyms: ["cheddar cheese"] },
+  { name: "cheese", category: "dairy" },
+  { name: "cream cheese", category: "dairy" },
+  { name: "egg", category: "dairy" },
+  { name: "feta", category: "dairy", synonyms: ["feta cheese"] },
+  {
+    name: "heavy cream",
+    category: "dairy",
+    synonyms: ["double cream", "whipping cream", "heavy whipping cream"],
+  },
+  { name: "milk", category: "dairy", synonyms: ["whole milk"] },
+  { name: "mozzarella", category: "dairy", synonyms: ["mozzarella cheese"] },
+  {
+    name: "parmesan",
+    category: "dairy",
+    synonyms: ["parmesan cheese", "parmigiano reggiano", "parmigiano"],
+  },
+  { name: "sour cream", category: "dairy" },
+  {
+    name: "yogurt",
+    category: "dairy",
+    synonyms: ["yoghurt", "yoghourt", "plain yogurt"],
+  },
+  { name: "greek yogurt", category: "dairy", synonyms: ["greek yoghurt"] },
+
+  // Protein
+  { name: "bacon", category: "protein", synonyms: ["streaky bacon"] },
+  {
+    name: "chicken breast",
+    category: "protein",
+    synonyms: ["chicken breast fillet"],
+  },
+  { name: "chicken thigh", category: "protein" },
+  {
+    name: "chickpea",
+    category: "protein",
+    synonyms: ["garbanzo bean", "garbanzo", "chick pea"],
+  },
+  {
+    name: "ground beef",
+    category: "protein",
+    synonyms: ["minced beef", "beef mince", "hamburger meat"],
+  },
+  {
+    name: "ground pork",
+    category: "protein",
+    synonyms: ["minced pork", "pork mince"],
+  },
+  {
+    name: "ground turkey",
+    category: "protein",
+    synonyms: ["minced turkey", "turkey mince"],
+  },
+  { name: "ham", category: "protein" },
+  { name: "lentil", category: "protein" },
+  { name: "pork chop", category: "protein" },
+  { name: "salmon", category: "protein", synonyms: ["salmon fillet"] },
+  { name: "sausage", category: "protein" },
+  { name: "shrimp", category: "protein", synonyms: ["prawn"] },
+  { name: "steak", category: "protein" },
+  { name: "tofu", category: "protein", synonyms: ["bean curd"] },
+  { name: "tuna", category: "protein" },
+  { name: "black bean", category: "protein" },
+  { name: "kidney bean", category: "protein" },
+
+  // Grains
+  { name: "bread", category: "grains" },
+  { name: "couscous", category: "grains" },
+  { name: "noodles", category: "grains" },
+  {
+    name: "oats",
+    category: "grains",
+    synonyms: ["rolled oats", "oatmeal", "porridge oats"],
+  },
+  { name: "pasta", category: "grains" },
+  { name: "spaghetti", category: "grains" },
+  { name: "quinoa", category: "grains" },
+  { name: "rice", category: "grains", synonyms: ["white rice"] },
+  { name: "brown rice", category: "grains" },
+  { name: "tortilla", category: "grains" },
+
+  // Baking
+  { name: "baking powder", category: "baking" },
+  {
+    name: "baking soda",
+    category: "baking",
+    synonyms: ["bicarbonate of soda", "bicarb soda", "bicarb"],
+  },
+  { name: "brown sugar", category: "baking" },
+  { name: "cocoa powder", category: "baking", synonyms: ["cocoa"] },
+  {
+    name: "cornstarch",
+    category: "baking",
+    synonyms: ["cornflour", "corn starch"],
+  },
+  {
+    name: "flour",
+    category: "baking",
+    synonyms: ["all-purpose flour", "all purpose flour", "plain flour"],
+  },
+  { name: "honey", category: "baking" },
+  {
+    name: "powdered sugar",
+    category: "baking",
+    synonyms: ["icing sugar", "confectioners sugar", "confectioners' sugar"],
+  },
+  {
+    name: "sugar",
+    category: "baking",
+    synonyms: ["white sugar", "granulated sugar", "caster sugar"],
+  },
+  {
+    name: "vanilla extract",
+    category: "baking",
+    synonyms: ["vanilla essence", "vanilla"],
+  },
+  { name: "yeast", category: "baking" },
+  { name: "chocolate chip", category: "baking" },
+
+  // Spices
+  {
+    name: "black pepper",
+    category: "spices",
+    synonyms: ["pepper", "ground pepper", "ground black pepper"],
+  },
+  { name: "chili powder", category: "spices", synonyms: ["chilli powder"] },
+  { name: "cinnamon", category: "spices", synonyms: ["ground cinnamon"] },
+  { name: "cumin", category: "spices", synonyms: ["ground cumin"] },
+  { name: "oregano", category: "spices", synonyms: ["dried oregano"] },
+  { name: "paprika", category: "spices", synonyms: ["smoked paprika"] },
+  {
+    name: "red pepper flake",
+    category: "spices",
+    synonyms: ["chili flake", "chilli flake", "crushed red pepper"],
+  },
+  {
+    name: "salt",
+    category: "spices",
+    synonyms: ["sea salt", "kosher salt", "table salt"],
+  },
+  { name: "turmeric", category: "spices", synonyms: ["ground turmeric"] },
+  {
+    name: "coriander",
+    category: "spices",
+    synonyms: ["ground coriander", "coriander seed"],
+  },
+
+  // Canned
+  {
+    name: "canned tomato",
+    category: "canned",
+    synonyms: ["tinned tomato", "diced tomato", "crushed tomato"],
+  },
+  { name: "coconut milk", category: "canned" },
+  {
+    name: "tomato paste",
+    category: "canned",
+    synonyms: ["tomato puree", "tomato purée"],
+  },
+  { name: "chicken stock", category: "canned", synonyms: ["chicken broth"] },
+  {
+    name: "vegetable stock",
+    category: "canned",
+    synonyms: ["vegetable broth"],
+  },
+
+  // Frozen
+  { name: "frozen pea", category: "frozen" },
+  { name: "ice cream", category: "frozen" },
+
+  // Condiments
+  {
+    name: "olive oil",
+    category: "condiments",
+    synonyms: ["extra virgin olive oil", "evoo"],
+  },
+  {
+    name: "vegetable oil",
+    category: "condiments",
+    synonyms: ["canola oil", "rapeseed oil", "cooking oil"],
+  },
+  {
+    name: "soy sauce",
+    category: "condiments",
+    synonyms: ["soya sauce", "shoyu"],
+  },
+  {
+    name: "ketchup",
+    category: "condiments",
+    synonyms: ["catsup", "tomato ketchup"],
+  },
+  { name: "mayonnaise", category: "condiments", synonyms: ["mayo"] },
+  {
+    name: "mustard",
+    category: "condiments",
+    synonyms: ["dijon mustard", "dijon"],
+  },
+  { name: "vinegar", category: "condiments", synonyms: ["white vinegar"] },
+  { name: "balsamic vinegar", category: "condiments", synonyms: ["balsamic"] },
+  { name: "hot sauce", category: "condiments", synonyms: ["sriracha"] },
+  { name: "peanut butter", category: "condiments" },
+  { name: "maple syrup", category: "condiments" },
+
+  // Beverages
+  { name: "coffee", category: "beverages" },
+  { name: "orange juice", category: "beverages", synonyms: ["oj"] },
+  { name: "tea", category: "beverages" },
+  { name: "white wine", category: "beverages" },
+  { name: "red wine", category: "beverages" },
+];
+
+// Words that are never plurals of a shorter word
+const SINGULAR_EXCEPTIONS = new Set([
+  "asparagus",
+  "couscous",
+  "hummus",
+  "molasses",
+  "swiss",
+  "lentils",
+  "oats",
+  "grits",
+  "greens",
+  "noodles",
+  "brussels",
+]);
+
+/**
+ * Singular form of an ingredient name ("eggs" -> "egg", "ground beef" unchanged)
+ * Only the last word is changed, so "cherry tomatoes" becomes "cherry tomato"
+ */
+export function singularize(name) {
+  const words = name.split(" ");
+  const last = words.pop();
+
+  let singular = last;
+  if (SINGULAR_EXCEPTIONS.has(last) || last.length <= 3) {
+    singular = last;
+  } else if (/(?:ea|oa|l)ves$/.test(last)) {
+    // "leaves", "loaves", "halves"
+    singular = last.replace(/ves$/, "f");
+  } else if (/^(?:kn|w)ives$/.test(last)) {
+    singular = last.replace(/ves$/, "fe");
+  } else if (/[^aeiou]ies$/.test(last)) {
+    singular = last.replace(/ies$/, "y");
+  } else if (/(ch|sh|x|ss|zz|o)es$/.test(last)) {
+    singular = last.replace(/es$/, "");
+  } else if (/[^su]s$/.test(last)) {
+    singular = last.replace(/s$/, "");
+  }
+
+  return [...words, singular].join(" ");
+}
+
+function normalizeSpelling(name) {
+  return singularize(
+    name
+      .trim()
+      .toLowerCase()
+      .replace(/[’']/g, "'")
+      .replace(/\s+/g, " ")
+  );
+}
+
+// Every known spelling (singular) mapped to its dictionary entry
+const SPELLINGS = new Map();
+INGREDIENT_DICTIONARY.forEach((entry) => {
+  [entry.name, ...(entry.synonyms || [])].forEach((spelling) => {
+    SPELLINGS.set(normalizeSpelling(spelling), entry);
+  });
+});
+
+/**
+ * Dictionary entry for a name or any of its synonyms, or null if unknown
+ */
+export function lookupIngredient(name) {
+  return SPELLINGS.get(normalizeSpelling(name)) || null;
+}
+
+/**
+ * Canonical name of an ingredient: lowercase, singular and with synonyms resolved
+ * Unknown ingredients keep their (singular) name
+ */
+export function canonicalIngredientName(name) {
+  return lookupIngredient(name)?.name || normalizeSpelling(name);
+}
+
+/**
+ * Compare two ingredient names ignoring case, plurals and synonyms
+ */
+export function isSameIngredient(a, b) {
+  return canonicalIngredientName(a) === canonicalIngredientName(b);
+}
+
+/**
+ * All the names an ingredient is known by, canonical name first
+ */
+export function ingredientAliases(name) {
+  const entry = lookupIngredient(name);
+  if (!entry) return [canonicalIngredientName(name)];
+  return [entry.name, ...(entry.synonyms || [])];
+}
+
+/**
+ * Autocomplete suggestions for what has been typed so far
+ * Matches the start of any word in a name or synonym; names starting with the
+ * query come first. Returns [{ name, category, matched }] where `matched` is the
+ * synonym that was typed, if it wasn't the canonical name
+ */
+export function suggestIngredients(query, { limit = 8, exclude = [] } = {}) {
+  const typed = query.trim().toLowerCase();
+  if (!typed) return [];
+
+  const excluded = new Set(exclude.map(canonicalIngredientName));
+  const suggestions = [];
+
+  INGREDIENT_DICTIONARY.forEach((entry) => {
+    if (excluded.has(entry.name)) return;
+
+    let best = null;
+    [entry.name, ...(entry.synonyms || [])].forEach((spelling) => {
+      const rank = spelling.startsWith(typed)
+        ? 0
+        : spelling.split(/[\s-]+/).some((word) => word.startsWith(typed))
+          ? 1
+          : null;
+      if (rank !== null && (!best || rank < best.rank)) {
+        best = { rank, spelling };
+      }
+    });
+
+    if (best) {
+      suggestions.push({
+        name: entry.name,
+        category: entry.category,
+        matched: best.spelling === entry.name ? null : best.spelling,
+        rank: best.rank,
+      });
+    }
+  });
+
+  return suggestions
+    .sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ rank, ...suggestion }) => suggestion);
+}
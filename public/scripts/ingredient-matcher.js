@@ -0,0 +1,304 @@
+/**
+ * Recipe-to-pantry ingredient matching for Pantry Party
+ * Works out which pantry ingredients a recipe line such as "2 cups chopped
+ * scallions" uses, so recipe validation and invalid-recipe marking agree
+ */
+
+import {
+  canonicalIngredientName,
+  ingredientAliases,
+  lookupIngredient,
+  singularize,
+} from "./ingredient-dictionary.js";
+import { splitQuantity } from "./ingredient-parser.js";
+
+// Assumed to be in every kitchen, never reported as missing
+export const PANTRY_STAPLES = [
+  "salt",
+  "black pepper",
+  "vegetable oil",
+  "olive oil",
+  "water",
+  "butter",
+  "flour",
+  "sugar",
+];
+
+// How sure we are that a line uses a pantry ingredient
+export const MATCH_CONFIDENCE = {
+  EXACT: 1, // same canonical name, e.g. "scallions" and "green onion"
+  CONTAINS: 0.8, // pantry name ends the line, e.g. "boneless chicken breast"
+  HEAD_NOUN: 0.5, // same kind of thing, e.g. "roma tomato" and "cherry tomato"
+  NONE: 0,
+};
+
+// Lines at or above this confidence count as using the pantry ingredient
+export const MATCH_THRESHOLD = MATCH_CONFIDENCE.HEAD_NOUN;
+
+// Preparation and size words that don't change what the ingredient is
+const DESCRIPTORS = new Set([
+  "fresh",
+  "freshly",
+  "large",
+  "medium",
+  "small",
+  "whole",
+  "chopped",
+  "finely",
+  "roughly",
+  "coarsely",
+  "thinly",
+  "minced",
+  "diced",
+  "sliced",
+  "grated",
+  "shredded",
+  "crushed",
+  "peeled",
+  "boneless",
+  "skinless",
+  "ripe",
+  "cooked",
+  "uncooked",
+  "softened",
+  "melted",
+  "beaten",
+  "warm",
+  "lukewarm",
+  "cold",
+  "boiling",
+  "room",
+  "temperature",
+  "about",
+  "optional",
+  "a",
+  "an",
+  "some",
+  "few",
+  "pinch",
+  "dash",
+  "handful",
+  "splash",
+  "of",
+]);
+
+const OPTIONAL_PATTERN = /\b(optional|to taste|for garnish|for serving)\b/i;
+
+// Parts of an ingredient, so "garlic cloves" and "egg yolks" still use the
+// garlic and the eggs, where "egg noodles" doesn't use eggs
+const PARTS = new Set([
+  "clove",
+  "breast",
+  "thigh",
+  "leg",
+  "drumstick",
+  "wing",
+  "fillet",
+  "filet",
+  "yolk",
+  "white",
+  "zest",
+  "juice",
+  "leaf",
+  "sprig",
+  "stalk",
+  "rib",
+  "floret",
+  "kernel",
+  "wedge",
+  "half",
+  "piece",
+  "chunk",
+  "slice",
+]);
+
+function words(text) {
+  return text.split(/[\s-]+/).filter(Boolean).map(singularize);
+}
+
+/**
+ * Whether the words of a line contain an ingredient's name, as the thing the
+ * line is about. "bell pepper" doesn't contain the ingredient "pepper": the
+ * word before the name can't make a different known ingredient. "egg noodles"
+ * doesn't contain "egg" either, only parts of it may follow the name
+ */
+function containsIngredient(lineWords, phraseWords, canonical) {
+  if (phraseWords.length === 0) return false;
+  for (let i = 0; i + phraseWords.length <= lineWords.length; i++) {
+    if (!phraseWords.every((word, j) => lineWords[i + j] === word)) continue;
+
+    const end = i + phraseWords.length;
+    const longer =
+      i > 0 && lookupIngredient(lineWords.slice(i - 1, end).join(" "));
+    const isHead = lineWords.slice(end).every((word) => PARTS.has(word));
+    if (isHead && (!longer || longer.name === canonical)) return true;
+  }
+  return false;
+}
+
+// The name without preparation words, e.g. "freshly ground pepper"
+function coreName(name) {
+  return canonicalIngredientName(
+    words(name)
+      .filter((word) => !DESCRIPTORS.has(word))
+      .join(" ")
+  );
+}
+
+/**
+ * Reduce a recipe line to the ingredient it names
+ * "1 (14 oz) can diced tomatoes, drained" -> "diced tomato"
+ */
+export function parseRecipeLine(line) {
+  const text = line
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/^\s*(?:[-*•·]|\d+[.)](?=\s))\s*/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  // Anything after a comma is preparation ("garlic, minced"), unless the
+  // ingredient comes later ("2 boneless, skinless chicken breasts")
+  const [first, ...others] = text.split(",");
+  let main = first;
+  while (
+    others.length > 0 &&
+    words(splitQuantity(main.trim()).rest).every((word) =>
+      DESCRIPTORS.has(word)
+    )
+  ) {
+    main += ` ${others.shift()}`;
+  }
+  const { rest } = splitQuantity(main.trim());
+
+  const name = rest
+    .replace(OPTIONAL_PATTERN, "")
+    .replace(/[.;:]+$/, "")
+    .trim();
+
+  return {
+    name: canonicalIngredientName(name),
+    // For when the full name is unknown
+    core: coreName(name),
+    optional: OPTIONAL_PATTERN.test(text),
+  };
+}
+
+/**
+ * How confidently a parsed recipe line uses one pantry ingredient
+ */
+function scoreMatch(parsed, pantryName) {
+  const canonical = canonicalIngredientName(pantryName);
+  if (parsed.name === canonical || parsed.core === canonical) {
+    return MATCH_CONFIDENCE.EXACT;
+  }
+
+  const lineWords = words(parsed.name);
+  const contained = ingredientAliases(canonical).some((alias) =>
+    containsIngredient(lineWords, words(alias), canonical)
+  );
+  if (contained) return MATCH_CONFIDENCE.CONTAINS;
+
+  const coreWords = words(parsed.core);
+  const pantryWords = words(canonical);
+  if (
+    coreWords.length > 0 &&
+    coreWords[coreWords.length - 1] === pantryWords[pantryWords.length - 1]
+  ) {
+    return MATCH_CONFIDENCE.HEAD_NOUN;
+  }
+
+  return MATCH_CONFIDENCE.NONE;
+}
+
+/**
+ * Whether a line names staples and nothing else: "kosher salt", or "salt and
+ * pepper". A staple in a longer name ("peanut butter", "almond flour") is a
+ * different ingredient
+ */
+function isStaple(parsed, staples) {
+  const names = new Set(staples.map(canonicalIngredientName));
+  if (names.has(parsed.name) || names.has(parsed.core)) return true;
+
+  const parts = parsed.name.split(/\s+(?:and|or|&)\s+/);
+  return parts.length > 1 && parts.every((part) => names.has(coreName(part)));
+}
+
+/**
+ * Match one recipe line against the pantry
+ * Returns { line, name, ingredient, confidence, staple, optional } where
+ * `ingredient` is the best matching pantry ingredient, or null
+ */
+export function matchRecipeLine(
+  line,
+  pantry,
+  { staples = PANTRY_STAPLES } = {}
+) {
+  const parsed = parseRecipeLine(line);
+  const staple = isStaple(parsed, staples);
+
+  let best = { ingredient: null, confidence: MATCH_CONFIDENCE.NONE };
+  pantry.forEach((ingredient) => {
+    const confidence = scoreMatch(parsed, ingredient.name);
+    if (confidence > best.confidence) best = { ingredient, confidence };
+  });
+
+  // A staple beats a loose match: "salt and pepper" doesn't use bell peppers
+  const threshold = staple ? MATCH_CONFIDENCE.CONTAINS : MATCH_THRESHOLD;
+  if (best.confidence < threshold) {
+    best = { ingredient: null, confidence: MATCH_CONFIDENCE.NONE };
+  }
+
+  return {
+    line,
+    name: parsed.name,
+    ...best,
+    staple: !best.ingredient && staple,
+    optional: parsed.optional,
+  };
+}
+
+/**
+ * Match every line of a recipe against the pantry
+ * Returns {
+ *   lines:      per-line results from matchRecipeLine,
+ *   used:       pantry ingredients the recipe uses,
+ *   missing:    recipe lines that need something the pantry doesn't have,
+ *   coverage:   share of required lines the pantry covers (0-1),
+ *   confidence: average confidence of the matched lines (0-1)
+ * }
+ * Staples and optional lines are never missing
+ */
+export function matchRecipeIngredients(
+  recipeLines = [],
+  pantry = [],
+  options = {}
+) {
+  const lines = recipeLines.map((line) =>
+    matchRecipeLine(line, pantry, options)
+  );
+
+  const used = [];
+  lines.forEach(({ ingredient }) => {
+    if (ingredient && !used.includes(ingredient)) used.push(ingredient);
+  });
+
+  const required = lines.filter((line) => !line.staple && !line.optional);
+  const missing = required
+    .filter((line) => !line.ingredient)
+    .map((line) => line.line);
+  const matched = lines.filter((line) => line.ingredient);
+
+  return {
+    lines,
+    used,
+    missing,
+    coverage:
+      required.length === 0 ? 1 : 1 - missing.length / required.length,
+    confidence:
+      matched.length === 0
+        ? 0
+        : matched.reduce((sum, line) => sum + line.confidence, 0) /
+          matched.length,
+  };
+}
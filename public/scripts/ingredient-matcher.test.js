@@ -0,0 +1,114 @@
+/**
+ * Matching ingredient lists as recipes write them against a pantry
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MATCH_CONFIDENCE,
+  matchRecipeIngredients,
+  matchRecipeLine,
+} from "./ingredient-matcher.js";
+import { singularize } from "./ingredient-dictionary.js";
+
+const pantry = (...names) => names.map((name, i) => ({ id: `p${i}`, name }));
+
+const chickenNoodleSoup = [
+  "2 tablespoons unsalted butter",
+  "1 large onion, diced",
+  "3 cloves garlic, minced",
+  "2 bay leaves",
+  "8 cups chicken broth",
+  "1 lb boneless, skinless chicken thighs",
+  "8 oz wide egg noodles",
+  "Juice of 1 lemon",
+  "Salt and freshly ground black pepper, to taste",
+];
+
+const satayNoodles = [
+  "1/4 cup peanut butter",
+  "2 tbsp soy sauce",
+  "1 tbsp lime juice",
+  "4 garlic cloves, grated",
+  "1/2 cup warm water",
+];
+
+const blueberryMuffins = [
+  "2 cups almond flour",
+  "1/2 cup sugar",
+  "2 large eggs, at room temperature",
+  "1 cup fresh blueberries",
+];
+
+test("plural leaves are a leaf", () => {
+  assert.equal(singularize("bay leaves"), "bay leaf");
+  assert.equal(singularize("halves"), "half");
+  assert.equal(singularize("olives"), "olive");
+  assert.equal(singularize("cloves"), "clove");
+});
+
+test("bay leaves in a recipe use the bay leaf in the pantry", () => {
+  const match = matchRecipeLine("2 bay leaves", pantry("bay leaf"));
+  assert.equal(match.ingredient?.name, "bay leaf");
+  assert.equal(match.confidence, MATCH_CONFIDENCE.EXACT);
+});
+
+test("a pantry ingredient naming another doesn't cover it", () => {
+  const result = matchRecipeIngredients(
+    chickenNoodleSoup,
+    pantry("egg", "onion", "garlic", "chicken", "lemon", "bay leaf")
+  );
+
+  assert.deepEqual(result.missing, [
+    "8 cups chicken broth",
+    "8 oz wide egg noodles",
+  ]);
+  assert.deepEqual(
+    result.used.map((ingredient) => ingredient.name),
+    ["onion", "garlic", "bay leaf", "chicken", "lemon"]
+  );
+});
+
+test("tomato sauce doesn't use the tomatoes", () => {
+  const match = matchRecipeLine(
+    "1 (15 oz) can tomato sauce",
+    pantry("tomato")
+  );
+  assert.equal(match.ingredient, null);
+});
+
+test("parts of an ingredient still use it", () => {
+  const yolks = matchRecipeLine("3 egg yolks", pantry("egg"));
+  assert.equal(yolks.ingredient?.name, "egg");
+
+  const cloves = matchRecipeLine("4 garlic cloves, grated", pantry("garlic"));
+  assert.equal(cloves.ingredient?.name, "garlic");
+});
+
+test("staples are whole names, not part of one", () => {
+  const result = matchRecipeIngredients(satayNoodles, pantry("garlic"));
+  assert.deepEqual(result.missing, [
+    "1/4 cup peanut butter",
+    "2 tbsp soy sauce",
+    "1 tbsp lime juice",
+  ]);
+
+  const muffins = matchRecipeIngredients(blueberryMuffins, pantry("egg"));
+  assert.deepEqual(muffins.missing, [
+    "2 cups almond flour",
+    "1 cup fresh blueberries",
+  ]);
+});
+
+test("seasoning and water lines are staples", () => {
+  const lines = [
+    "Salt and freshly ground black pepper, to taste",
+    "1 tsp kosher salt",
+    "2 tablespoons unsalted butter",
+    "1/2 cup warm water",
+    "2 tbsp extra virgin olive oil",
+  ];
+  lines.forEach((line) => {
+    assert.equal(matchRecipeLine(line, []).staple, true, line);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Free-text ingredient parser for Pantry Party
+ * Turns pasted shopping lists or receipts ("3 eggs, 1/2 cup milk\n2 lbs ground beef")
+ * into ingredients with a quantity and unit
+ */
+
+import {
+  canonicalIngredientName,
+  isSameIngredient,
+} from "./ingredient-dictionary.js";
+
+// Spellings people use for each unit, mapped to the unit we store
+const UNIT_ALIASES = {
+  g: ["g", "gram", "grams", "gr"],
+  kg: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms"],
+  oz: ["oz", "ounce", "ounces"],
+  lb: ["lb", "lbs", "pound", "pounds"],
+  ml: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"],
+  l: ["l", "liter", "liters", "litre", "litres"],
+  cup: ["cup", "cups", "c"],
+  pt: ["pt", "pts", "pint", "pints"],
+  qt: ["qt", "qts", "quart", "quarts"],
+  gal: ["gal", "gals", "gallon", "gallons"],
+  tbsp: ["tbsp", "tbsps", "tablespoon", "tablespoons", "tbs", "T"],
+  tsp: ["tsp", "tsps", "teaspoon", "teaspoons", "t"],
+  can: ["can", "cans", "tin", "tins"],
+  bunch: ["bunch", "bunches"],
+  clove: ["clove", "cloves"],
+  piece: ["piece", "pieces", "pc", "pcs"],
+  dozen: ["dozen", "doz"],
+  pack: ["pack", "packs", "package", "packages", "pkg"],
+  bag: ["bag", "bags"],
+  bottle: ["bottle", "bottles"],
+  jar: ["jar", "jars"],
+  box: ["box", "boxes"],
+  head: ["head", "heads"],
+  slice: ["slice", "slices"],
+  stick: ["stick", "sticks"],
+};
+
+const UNITS = new Map();
+Object.entries(UNIT_ALIASES).forEach(([unit, aliases]) => {
+  aliases.forEach((alias) => UNITS.set(alias, unit));
+});
+
+const UNICODE_FRACTIONS = {
+  "¼": 0.25,
+  "½": 0.5,
+  "¾": 0.75,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "⅛": 0.125,
+};
+
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join("");
+
+// "1", "1.5", "1,5", "1/2", "1 1/2", "½", "1½"
+const QUANTITY_PATTERN = new RegExp(
+  `^(\\d+(?:[.,]\\d+)?(?:\\s+\\d+\\/\\d+)?|\\d+\\/\\d+|\\d*[${FRACTION_CHARS}])(?=\\s|[a-zA-Z]|$)`
+);
+
+// How an ingredient is prepared or used, written after a comma: "salt, to
+// taste", "onion, finely chopped", "butter, melted and cooled"
+const PREPARATIONS = [
+  "beaten",
+  "chopped",
+  "cooled",
+  "crushed",
+  "cubed",
+  "diced",
+  "divided",
+  "drained",
+  "grated",
+  "halved",
+  "julienned",
+  "mashed",
+  "melted",
+  "minced",
+  "optional",
+  "peeled",
+  "quartered",
+  "rinsed",
+  "shredded",
+  "sifted",
+  "sliced",
+  "softened",
+  "toasted",
+  "trimmed",
+  "as needed",
+  "at room temperature",
+  "room temperature",
+  "to taste",
+  "for garnish",
+  "for serving",
+];
+const PREPARATION_ADVERBS = "finely|roughly|coarsely|thinly|freshly|lightly";
+const PREPARATION = `(?:(?:${PREPARATION_ADVERBS})\\s+)?(?:${PREPARATIONS.join("|")})`;
+const NOTE_PATTERN = new RegExp(
+  `^${PREPARATION}(?:\\s*(?:,|and|or)\\s*${PREPARATION})*$`,
+  "i"
+);
+
+/**
+ * Parse "1 1/2", "3/4", "0.5" or "1½" into a number
+ */
+export function parseQuantity(text) {
+  // "1,5" is one and a half, "1,500" a thousand and five hundred
+  const value = text
+    .trim()
+    .replace(/^(\d+),(\d{3})$/, "$1$2")
+    .replace(/^(\d+),(\d+)/, "$1.$2");
+
+  const fraction = value.match(new RegExp(`^(\\d*)([${FRACTION_CHARS}])$`));
+  if (fraction) {
+    return Number(fraction[1] || 0) + UNICODE_FRACTIONS[fraction[2]];
+  }
+
+  return value.split(/\s+/).reduce((total, part) => {
+    const [numerator, denominator] = part.split("/").map(Number);
+    return total + (denominator ? numerator / denominator : numerator);
+  }, 0);
+}
+
+/**
+ * Map a unit spelling to the unit we store, or null if it isn't a unit
+ * Single letters are case-sensitive ("T" is a tablespoon, "t" a teaspoon)
+ */
+export function normalizeUnit(word) {
+  const cleaned = word.replace(/\.$/, "");
+  return UNITS.get(cleaned) || UNITS.get(cleaned.toLowerCase()) || null;
+}
+
+/**
+ * Remove list markers, checkboxes and receipt prices from a line
+ */
+function cleanLine(line) {
+  return line
+    .replace(/^\s*(?:[-*•·]|\[[ xX]?\]|\d+[.)](?=\s))\s*/, "")
+    .replace(/\s*[$€£]\s*\d+(?:\.\d{2})?\s*$/, "")
+    .replace(/\s+\d+\.\d{2}\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split the quantity and unit off an entry: "2 lbs ground beef" gives
+ * { quantity: 2, unit: "lb", rest: "ground beef" }
+ */
+export function splitQuantity(text) {
+  let rest = text;
+  let quantity = null;
+  let unit = "";
+
+  // "eggs x12" / "eggs (12)"
+  const trailing = rest.match(/\s+(?:x\s*(\d+)|\((\d+)\))$/i);
+  if (trailing) {
+    quantity = Number(trailing[1] || trailing[2]);
+    rest = rest.slice(0, trailing.index);
+  }
+
+  // "12 x eggs" / "2 lbs ground beef" / "1 1/2 cups of milk"
+  const leading = rest.match(QUANTITY_PATTERN);
+  if (leading && quantity === null) {
+    quantity = parseQuantity(leading[1]);
+    rest = rest
+      .slice(leading[0].length)
+      .trim()
+      .replace(/^x\s+/i, "");
+
+    const [firstWord] = rest.split(" ");
+    const parsedUnit = firstWord && normalizeUnit(firstWord);
+    if (parsedUnit && rest.includes(" ")) {
+      unit = parsedUnit;
+      rest = rest.slice(firstWord.length).trim();
+    }
+    rest = rest.replace(/^of\s+/i, "");
+  }
+
+  return {
+    quantity: quantity > 0 ? Math.round(quantity * 100) / 100 : null,
+    unit,
+    rest: rest.trim(),
+  };
+}
+
+function isNote(text) {
+  return NOTE_PATTERN.test(text.trim().replace(/[.;:]+$/, ""));
+}
+
+/**
+ * Split a trailing note off an entry: "onion, finely chopped" gives
+ * { entry: "onion", note: "finely chopped" }
+ */
+function splitNote(text) {
+  const comma = text.indexOf(",");
+  if (comma !== -1 && isNote(text.slice(comma + 1))) {
+    return {
+      entry: text.slice(0, comma).trim(),
+      note: text.slice(comma + 1).trim(),
+    };
+  }
+  return { entry: text, note: "" };
+}
+
+/**
+ * Parse one entry such as "2 lbs ground beef", "eggs x12" or "salt, to taste"
+ * Returns { name, quantity, unit, note, text } or null if nothing is left
+ */
+export function parseIngredientLine(line) {
+  const text = cleanLine(line);
+  const { entry, note } = splitNote(text);
+  const { quantity, unit, rest } = splitQuantity(entry);
+
+  const name = canonicalIngredientName(rest.replace(/[.,;:]+$/, ""));
+  if (!name || !/[a-z]/.test(name)) return null;
+
+  return { name, quantity, unit, note, text };
+}
+
+/**
+ * Split pasted text into entries, one per line or comma-separated entry
+ * A comma inside a number ("1,5 kg") doesn't split, and a note after a comma
+ * ("salt, to taste") stays with its ingredient
+ */
+function splitEntries(text) {
+  return text.split(/[\n;]+/).flatMap((line) =>
+    line.split(/(?<!\d),|,(?!\d)/).reduce((entries, part) => {
+      if (entries.length > 0 && isNote(part)) {
+        entries[entries.length - 1] += `,${part}`;
+      } else {
+        entries.push(part);
+      }
+      return entries;
+    }, [])
+  );
+}
+
+/**
+ * Parse pasted text into ingredients, one per line or comma-separated entry
+ * Entries repeated within the text are combined into the first one, unless
+ * they are in another unit ("3 eggs", "1 dozen eggs"), which stay separate
+ */
+export function parseIngredientText(text) {
+  const parsed = [];
+
+  splitEntries(text)
+    .map(parseIngredientLine)
+    .filter(Boolean)
+    .forEach((ingredient) => {
+      const repeat = parsed.find(
+        (item) =>
+          isSameIngredient(item.name, ingredient.name) &&
+          (item.quantity === null ||
+            ingredient.quantity === null ||
+            item.unit === ingredient.unit)
+      );
+      if (!repeat) {
+        parsed.push(ingredient);
+      } else if (repeat.quantity === null) {
+        repeat.quantity = ingredient.quantity;
+        repeat.unit = ingredient.unit;
+      } else if (ingredient.quantity !== null) {
+        repeat.quantity += ingredient.quantity;
+      }
+    });
+
+  return parsed;
+}
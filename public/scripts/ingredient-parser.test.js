@@ -0,0 +1,58 @@
+/**
+ * Pasted ingredient lists: where entries split and what is kept as a note
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseIngredientText } from "./ingredient-parser.js";
+
+function parse(text) {
+  return parseIngredientText(text).map(({ name, quantity, unit, note }) => ({
+    name,
+    quantity,
+    unit,
+    note,
+  }));
+}
+
+test("a decimal comma stays part of the quantity", () => {
+  assert.deepEqual(parse("1,5 kg flour"), [
+    { name: "flour", quantity: 1.5, unit: "kg", note: "" },
+  ]);
+  assert.deepEqual(parse("1,500 g potatoes"), [
+    { name: "potato", quantity: 1500, unit: "g", note: "" },
+  ]);
+});
+
+test("a note after a comma stays with its ingredient", () => {
+  assert.deepEqual(parse("salt, to taste"), [
+    { name: "salt", quantity: null, unit: "", note: "to taste" },
+  ]);
+  assert.deepEqual(
+    parse("1 onion, finely chopped, 2 carrots, peeled and diced"),
+    [
+      { name: "onion", quantity: 1, unit: "", note: "finely chopped" },
+      { name: "carrot", quantity: 2, unit: "", note: "peeled and diced" },
+    ]
+  );
+});
+
+test("other commas still separate entries", () => {
+  assert.deepEqual(
+    parse("3 eggs, 1/2 cup milk\n2 tbsp butter, melted; bread").map(
+      (item) => item.name
+    ),
+    ["egg", "milk", "butter", "bread"]
+  );
+});
+
+test("a repeated ingredient is combined only in the same unit", () => {
+  assert.deepEqual(parse("2 eggs\n3 eggs, salt\nsalt"), [
+    { name: "egg", quantity: 5, unit: "", note: "" },
+    { name: "salt", quantity: null, unit: "", note: "" },
+  ]);
+  assert.deepEqual(parse("3 eggs\n1 dozen eggs"), [
+    { name: "egg", quantity: 3, unit: "", note: "" },
+    { name: "egg", quantity: 1, unit: "dozen", note: "" },
+  ]);
+});
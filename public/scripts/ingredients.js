@@ -0,0 +1,129 @@
+/**
+ * Ingredient model helpers for Pantry Party
+ * Categories, quantity formatting and expiry dates shared by the UI and the prompt
+ */
+
+export const INGREDIENT_CATEGORIES = [
+  "produce",
+  "dairy",
+  "protein",
+  "grains",
+  "baking",
+  "spices",
+  "canned",
+  "frozen",
+  "condiments",
+  "beverages",
+  "other",
+];
+
+// Ingredients expiring within this many days are used first
+export const EXPIRING_SOON_DAYS = 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Days until an ingredient expires (negative once expired), null without a date
+ * Expiry dates are stored as YYYY-MM-DD, as produced by <input type="date">
+ */
+export function daysUntilExpiry(ingredient, now = new Date()) {
+  if (!ingredient.expiresOn) return null;
+
+  const [year, month, day] = ingredient.expiresOn.split("-").map(Number);
+  const expiry = new Date(year, month - 1, day);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((expiry - today) / DAY);
+}
+
+/**
+ * Expires today or within the next few days, but hasn't expired yet
+ */
+export function isExpiringSoon(
+  ingredient,
+  days = EXPIRING_SOON_DAYS,
+  now = new Date()
+) {
+  const remaining = daysUntilExpiry(ingredient, now);
+  return remaining !== null && remaining >= 0 && remaining <= days;
+}
+
+export function isExpired(ingredient, now = new Date()) {
+  const remaining = daysUntilExpiry(ingredient, now);
+  return remaining !== null && remaining < 0;
+}
+
+/**
+ * Ingredients expiring soon, soonest first
+ */
+export function getExpiringIngredients(
+  ingredients,
+  days = EXPIRING_SOON_DAYS,
+  now = new Date()
+) {
+  return ingredients
+    .filter((ingredient) => isExpiringSoon(ingredient, days, now))
+    .sort((a, b) => daysUntilExpiry(a, now) - daysUntilExpiry(b, now));
+}
+
+/**
+ * Ingredients past their expiry date, longest expired first
+ */
+export function getExpiredIngredients(ingredients, now = new Date()) {
+  return ingredients
+    .filter((ingredient) => isExpired(ingredient, now))
+    .sort((a, b) => daysUntilExpiry(a, now) - daysUntilExpiry(b, now));
+}
+
+/**
+ * "2 lb", "3", or "" when no quantity was entered
+ */
+export function formatQuantity(ingredient) {
+  if (ingredient.quantity === null || ingredient.quantity === undefined) {
+    return ingredient.unit || "";
+  }
+  return [ingredient.quantity, ingredient.unit].filter(Boolean).join(" ");
+}
+
+/**
+ * "expires today", "expires in 2 days", "expired 1 day ago"
+ */
+export function formatExpiry(ingredient) {
+  const remaining = daysUntilExpiry(ingredient);
+  if (remaining === null) return "";
+  if (remaining === 0) return "expires today";
+  if (remaining === 1) return "expires tomorrow";
+  if (remaining > 1) return `expires in ${remaining} days`;
+  return `expired ${-remaining} day${remaining === -1 ? "" : "s"} ago`;
+}
+
+/**
+ * One line describing an ingredient, e.g. "chicken thighs (2 lb, protein, expires in 3 days)"
+ */
+export function describeIngredient(ingredient) {
+  const details = [
+    formatQuantity(ingredient),
+    ingredient.category,
+    formatExpiry(ingredient),
+  ].filter(Boolean);
+
+  return details.length > 0
+    ? `${ingredient.name} (${details.join(", ")})`
+    : ingredient.name;
+}
+
+/**
+ * Clean up the optional fields entered for an ingredient
+ */
+export function normalizeIngredientDetails(details = {}) {
+  const quantity = parseFloat(details.quantity);
+  return {
+    quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : null,
+    unit: details.unit ? details.unit.trim().toLowerCase() : "",
+    category: INGREDIENT_CATEGORIES.includes(details.category)
+      ? details.category
+      : "",
+    expiresOn: /^\d{4}-\d{2}-\d{2}$/.test(details.expiresOn || "")
+      ? details.expiresOn
+      : "",
+  };
+}
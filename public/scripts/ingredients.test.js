@@ -0,0 +1,62 @@
+/**
+ * Expiry dates around the edges of "expiring soon"
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EXPIRING_SOON_DAYS,
+  daysUntilExpiry,
+  getExpiredIngredients,
+  getExpiringIngredients,
+  isExpired,
+  isExpiringSoon,
+} from "./ingredients.js";
+
+// Late in the evening, so nothing depends on the time of day
+const now = new Date(2026, 9, 19, 23, 30);
+
+const ingredient = (name, expiresOn) => ({ id: name, name, expiresOn });
+
+const pantry = [
+  ingredient("milk", "2026-10-18"),
+  ingredient("yogurt", "2026-10-12"),
+  ingredient("spinach", "2026-10-19"),
+  ingredient("eggs", "2026-10-20"),
+  ingredient("cheddar", "2026-10-22"),
+  ingredient("butter", "2026-10-23"),
+  ingredient("rice", ""),
+];
+
+test("days until expiry count whole calendar days", () => {
+  assert.equal(daysUntilExpiry(pantry[0], now), -1);
+  assert.equal(daysUntilExpiry(pantry[2], now), 0);
+  assert.equal(daysUntilExpiry(pantry[3], now), 1);
+  assert.equal(daysUntilExpiry(pantry[6], now), null);
+});
+
+test("an ingredient expiring today is expiring soon, not expired", () => {
+  assert.equal(isExpiringSoon(pantry[2], EXPIRING_SOON_DAYS, now), true);
+  assert.equal(isExpired(pantry[2], now), false);
+});
+
+test("an ingredient that expired yesterday isn't expiring soon", () => {
+  assert.equal(isExpiringSoon(pantry[0], EXPIRING_SOON_DAYS, now), false);
+  assert.equal(isExpired(pantry[0], now), true);
+});
+
+test("expiring soon ends on the last day of the window", () => {
+  assert.equal(isExpiringSoon(pantry[4], EXPIRING_SOON_DAYS, now), true);
+  assert.equal(isExpiringSoon(pantry[5], EXPIRING_SOON_DAYS, now), false);
+});
+
+test("expiring and expired ingredients are listed apart", () => {
+  assert.deepEqual(
+    getExpiringIngredients(pantry, EXPIRING_SOON_DAYS, now).map((i) => i.name),
+    ["spinach", "eggs", "cheddar"]
+  );
+  assert.deepEqual(
+    getExpiredIngredients(pantry, now).map((i) => i.name),
+    ["yogurt", "milk"]
+  );
+});
@@ -0,0 +1,254 @@
+/**
+ * Meal planning for Pantry Party
+ * A calendar of days and meals with a session recipe in each slot. Works out
+ * which perishables each meal should use up, each recipe's main ingredient
+ * (so the plan doesn't repeat it) and what cooking the plan takes out of
+ * the pantry
+ */
+
+import { lookupIngredient } from "./ingredient-dictionary.js";
+import { matchRecipeLine, parseRecipeLine } from "./ingredient-matcher.js";
+import { daysUntilExpiry } from "./ingredients.js";
+import { pantryUnit, recipeLineQuantity } from "./shopping-list.js";
+
+export const MEALS = ["breakfast", "lunch", "dinner"];
+
+export const DEFAULT_PLAN_DAYS = 3;
+export const MAX_PLAN_DAYS = 14;
+
+// Perishables a single meal is asked to use up
+const MAX_FOCUS_PER_MEAL = 3;
+
+// Flavor bases that start many recipes without being what they're about
+const AROMATICS = ["onion", "garlic", "ginger", "shallot", "scallion"];
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+/**
+ * A local date as YYYY-MM-DD, like <input type="date"> and expiry dates
+ */
+export function toDateString(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDate(dateString) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * The plan's dates, from its start date
+ */
+export function planDates({ startDate, days }) {
+  const start = parseDate(startDate);
+  return Array.from({ length: days }, (_, index) =>
+    toDateString(
+      new Date(start.getFullYear(), start.getMonth(), start.getDate() + index)
+    )
+  );
+}
+
+/**
+ * "Sat, Oct 25"
+ */
+export function formatPlanDate(dateString) {
+  return parseDate(dateString).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+export function slotKey(date, meal) {
+  return `${date}/${meal}`;
+}
+
+/**
+ * Every slot of the plan in calendar order
+ * Returns [{ key, date, meal, entry }] where entry is { recipeId, cookedAt }
+ * or null for an empty slot
+ */
+export function listSlots(plan) {
+  return planDates(plan).flatMap((date) =>
+    MEALS.filter((meal) => plan.meals.includes(meal)).map((meal) => {
+      const key = slotKey(date, meal);
+      return { key, date, meal, entry: plan.slots[key] || null };
+    })
+  );
+}
+
+// The dictionary entry a line names, or just its name when unknown
+function ingredientEntry(line) {
+  const parsed = parseRecipeLine(line);
+  const known = lookupIngredient(parsed.name) || lookupIngredient(parsed.core);
+  return known || { name: parsed.core || parsed.name, category: null };
+}
+
+/**
+ * What a recipe is mostly about: its first protein, or else its first
+ * ingredient that isn't a staple or an aromatic
+ */
+export function mainIngredient(recipe) {
+  const candidates = (recipe.ingredients || [])
+    .map((line) => ({ line, match: matchRecipeLine(line, []) }))
+    .filter(({ match }) => !match.staple && !match.optional)
+    .map(({ line }) => ingredientEntry(line))
+    .filter((entry) => entry.name && !AROMATICS.includes(entry.name));
+
+  const protein = candidates.find((entry) => entry.category === "protein");
+  return (protein || candidates[0])?.name || null;
+}
+
+/**
+ * Spread the pantry's perishables over the empty slots
+ * Soonest to expire first, each to the least busy slot on or before its expiry
+ * date. Returns { [slotKey]: [ingredient names] }
+ */
+export function spreadPerishables(slots, pantry, now = new Date()) {
+  const focus = Object.fromEntries(slots.map((slot) => [slot.key, []]));
+  if (slots.length === 0) return focus;
+
+  const lastDate = slots[slots.length - 1].date;
+  pantry
+    .filter(
+      (ingredient) =>
+        ingredient.expiresOn &&
+        ingredient.expiresOn <= lastDate &&
+        daysUntilExpiry(ingredient, now) >= 0
+    )
+    .sort((a, b) => a.expiresOn.localeCompare(b.expiresOn))
+    .forEach((ingredient) => {
+      const inTime = slots.filter(
+        (slot) =>
+          slot.date <= ingredient.expiresOn &&
+          focus[slot.key].length < MAX_FOCUS_PER_MEAL
+      );
+      if (inTime.length === 0) return;
+
+      const slot = inTime.reduce((best, candidate) =>
+        focus[candidate.key].length < focus[best.key].length ? candidate : best
+      );
+      focus[slot.key].push(ingredient.name);
+    });
+
+  return focus;
+}
+
+/**
+ * Prompt text for a recipe that fills one slot of the plan
+ */
+export function describeMealSlot({ date, meal, focus = [], avoidMains = [] }) {
+  const parts = [
+    `This is ${meal} for ${formatPlanDate(date)}, one meal of a multi-day plan, so make it suit ${meal}.`,
+  ];
+  if (focus.length > 0) {
+    parts.push(
+      `Build it around these pantry items, they need using up by then: ${focus.join(", ")}`
+    );
+  }
+  if (avoidMains.length > 0) {
+    parts.push(
+      `Don't make any of these the main ingredient, other meals in the plan already do: ${avoidMains.join(", ")}`
+    );
+  }
+  return parts.join("\n");
+}
+
+/**
+ * Take what a recipe uses out of the pantry
+ * Amounts are only taken off in the pantry item's own unit; an item with no
+ * quantity is left alone. Returns { pantry, used, short, changes } where
+ * changes are [{ id, quantity }] with quantity null for an item used up
+ */
+export function consumeRecipe(recipe, pantry) {
+  const remaining = pantry.map((ingredient) => ({ ...ingredient }));
+  const used = [];
+  const short = [];
+
+  (recipe.ingredients || []).forEach((line) => {
+    const left = remaining.filter((ingredient) => ingredient.quantity !== 0);
+    const match = matchRecipeLine(line, left);
+    const ingredient = match.ingredient;
+    if (!ingredient) {
+      if (!match.staple && !match.optional) short.push(line);
+      return;
+    }
+
+    if (!used.includes(ingredient.name)) used.push(ingredient.name);
+    const { quantity, unit } = recipeLineQuantity(line);
+    if (
+      ingredient.quantity !== null &&
+      quantity !== null &&
+      pantryUnit(ingredient) === unit
+    ) {
+      const rest = Math.round((ingredient.quantity - quantity) * 100) / 100;
+      ingredient.quantity = Math.max(rest, 0);
+    }
+  });
+
+  const changes = remaining
+    .filter(
+      (ingredient, index) => ingredient.quantity !== pantry[index].quantity
+    )
+    .map((ingredient) => ({
+      id: ingredient.id,
+      quantity: ingredient.quantity || null,
+    }));
+
+  return {
+    pantry: remaining.filter((ingredient) => ingredient.quantity !== 0),
+    used,
+    short,
+    changes,
+  };
+}
+
+/**
+ * Cook the plan on paper: each meal that isn't cooked yet, in order, takes
+ * its ingredients out of what the earlier meals left
+ * Returns { [slotKey]: { used, short } }
+ */
+export function planConsumption(slots, recipes, pantry) {
+  const byId = new Map(recipes.map((recipe) => [recipe.id, recipe]));
+  const consumption = {};
+  let left = pantry;
+
+  slots.forEach((slot) => {
+    const recipe = slot.entry && byId.get(slot.entry.recipeId);
+    if (!recipe || slot.entry.cookedAt) return;
+
+    const result = consumeRecipe(recipe, left);
+    consumption[slot.key] = { used: result.used, short: result.short };
+    left = result.pantry;
+  });
+
+  return consumption;
+}
+
+/**
+ * What the empty slots should use up: spreadPerishables over the pantry items
+ * the planned meals don't already use
+ */
+export function planFocus(slots, recipes, pantry, now = new Date()) {
+  const used = new Set(
+    Object.values(planConsumption(slots, recipes, pantry)).flatMap(
+      (meal) => meal.used
+    )
+  );
+  return spreadPerishables(
+    slots.filter((slot) => !slot.entry),
+    pantry.filter((ingredient) => !used.has(ingredient.name)),
+    now
+  );
+}
+
+/**
+ * The plan's recipes still to cook, once per slot, for the shopping list
+ */
+export function plannedRecipeIds(plan) {
+  return listSlots(plan)
+    .filter((slot) => slot.entry && !slot.entry.cookedAt)
+    .map((slot) => slot.entry.recipeId);
+}
@@ -1,62 +1,111 @@
 /**
- * OpenAI API integration for Pantry Party
+ * LLM API integration for Pantry Party
  * Handles client-side recipe generation using user-provided API keys
- * All API calls are made from the client to protect API keys
+ * All API calls are made from the client to protect API keys, through the
+ * provider chosen in the settings (see providers.js)
  */
 
 // Import storage utilities
 import {
-  OpenAIStorage,
+  ProviderStorage,
+  PriceStorage,
+  UsageStorage,
   ContextStorage,
   IngredientsStorage,
   BlacklistStorage,
+  SessionStorage,
+  UserStorage,
 } from "./storage.js";
+import {
+  describeIngredient,
+  getExpiredIngredients,
+  getExpiringIngredients,
+} from "./ingredients.js";
+import { matchRecipeIngredients } from "./ingredient-matcher.js";
+import {
+  findFoodGroups,
+  combineDietaryProfiles,
+  describeDietaryConstraints,
+  checkRecipeDiet,
+} from "./dietary.js";
+import { parsePartialJson } from "./partial-json.js";
+import { getProvider } from "./providers.js";
+import { requestApiKey } from "./api-key.js";
+import { describeDirection } from "./recipe-diversity.js";
+import { describeMealSlot } from "./meal-plan.js";
+import {
+  addUsage,
+  estimateRecipeCost,
+  estimateUsage,
+  getPriceTable,
+  normalizeUsage,
+} from "./usage.js";
+import {
+  RECIPE_SCHEMA,
+  RECIPE_DIFFICULTIES,
+  RECIPE_CATEGORIES,
+  parseRecipe,
+} from "./recipe-schema.js";
 
-const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
+/**
+ * The selected provider with its base URL and model, falling back to the
+ * provider's defaults. Pass settings to use something other than what's saved
+ */
+export function getActiveProvider(settings = ProviderStorage.get()) {
+  const provider = getProvider(settings.provider);
+  return {
+    provider,
+    baseUrl: settings.baseUrl || provider.defaultBaseUrl,
+    model: settings.model || provider.defaultModel,
+  };
+}
 
 /**
- * Validate OpenAI API key format
+ * Validate API key format for the selected provider
  */
-export function isValidApiKey(apiKey) {
-  return (
-    apiKey &&
-    typeof apiKey === "string" &&
-    apiKey.startsWith("sk-") &&
-    apiKey.length > 20
-  );
+export function isValidApiKey(apiKey, settings) {
+  return getActiveProvider(settings).provider.isValidKey(apiKey);
 }
 
 /**
- * Test API key by making a simple request
+ * Test API key (and the connection) by listing the provider's models
+ * Without a key, tests the saved one, asking to unlock it if needed
  */
-export async function testApiKey(apiKey) {
+export async function testApiKey(apiKey = null, settings) {
+  const { provider, baseUrl } = getActiveProvider(settings);
+
   try {
-    const response = await fetch(OPENAI_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-3.5-turbo",
-        messages: [{ role: "user", content: 'Say "API key test successful"' }],
-        max_tokens: 10,
-      }),
+    const models = await provider.listModels({
+      baseUrl,
+      apiKey: apiKey ?? (await requestApiKey()),
+    });
+
+    // Listing models costs no tokens, but it's still a call made with the key
+    UsageStorage.record({
+      kind: "test",
+      provider: provider.id,
+      model: null,
+      ...normalizeUsage(null),
     });
 
-    if (response.ok) {
-      return { success: true, message: "API key is valid" };
-    } else {
-      const error = await response.json();
+    return {
+      success: true,
+      message: provider.requiresKey
+        ? "API key is valid"
+        : `Connected to ${provider.label}`,
+      models,
+    };
+  } catch (error) {
+    // fetch() rejects with a TypeError when the server can't be reached
+    if (error instanceof TypeError) {
       return {
         success: false,
-        message: error.error?.message || "Invalid API key",
+        message: `Could not reach ${baseUrl}. Check that the server is running and allows requests from this page (CORS).`,
       };
     }
-  } catch (error) {
     return {
       success: false,
-      message: "Network error. Please check your connection.",
+      message: error.message || "Invalid API key",
     };
   }
 }
@@ -64,21 +113,45 @@ export async function testApiKey(apiKey) {
 /**
  * Build a comprehensive prompt for recipe generation
  */
-function buildRecipePrompt(ingredients, context, blacklist) {
-  const ingredientList = ingredients.map((ing) => ing.name).join(", ");
+function buildRecipePrompt(
+  ingredients,
+  context,
+  blacklist,
+  favorExpiring,
+  dietaryConstraints = [],
+  { direction = null, avoidTitles = [], mealSlot = null } = {}
+) {
+  const ingredientList = ingredients.map(describeIngredient).join(", ");
+  const expiring = favorExpiring ? getExpiringIngredients(ingredients) : [];
+  const expiringText =
+    expiring.length > 0
+      ? `\n\nPrioritize these ingredients, they expire soon: ${expiring.map((ing) => ing.name).join(", ")}`
+      : "";
+  const expired = getExpiredIngredients(ingredients);
+  const expiredText =
+    expired.length > 0
+      ? `\n\nThese ingredients are past their expiry date, only use them if they keep well: ${expired.map((ing) => ing.name).join(", ")}`
+      : "";
   const blacklistText =
     blacklist.length > 0
       ? `\n\nDO NOT use these ingredients: ${blacklist.join(", ")}`
       : "";
   const contextText = context.trim() ? `\n\nContext: ${context}` : "";
+  const dietaryText =
+    dietaryConstraints.length > 0
+      ? `\n\n${describeDietaryConstraints(dietaryConstraints)}`
+      : "";
+  const variety = describeDirection(direction, avoidTitles);
+  const varietyText = variety ? `\n\n${variety}` : "";
+  const mealText = mealSlot ? `\n\n${describeMealSlot(mealSlot)}` : "";
 
-  return `Generate a creative recipe using some or all of these available ingredients: ${ingredientList}${contextText}${blacklistText}
+  return `Generate a creative recipe using some or all of these available ingredients: ${ingredientList}${expiringText}${expiredText}${contextText}${blacklistText}${dietaryText}${varietyText}${mealText}
 
 Please provide the response in the following JSON format:
 {
   "title": "Recipe Name",
   "description": "Brief description of the dish",
-  "difficulty": "Easy|Medium|Hard",
+  "difficulty": "${RECIPE_DIFFICULTIES.join("|")}",
   "prepTime": "15 minutes",
   "cookTime": "30 minutes",
   "servings": 4,
@@ -93,7 +166,7 @@ Please provide the response in the following JSON format:
     "etc..."
   ],
   "tips": "Optional cooking tips",
-  "category": "Main Dish|Appetizer|Dessert|Beverage|Snack"
+  "category": "${RECIPE_CATEGORIES.join("|")}"
 }
 
 Make the recipe practical and delicious. Only use ingredients from the provided list or common pantry staples (salt, pepper, oil, water, etc.). Ensure the recipe makes sense given the context provided.`;
@@ -104,17 +177,12 @@ Make the recipe practical and delicious. Only use ingredients from the provided
  */
 function validateRecipeContext(recipe, context, ingredients) {
   const contextLower = context.toLowerCase();
-  const recipeLower = JSON.stringify(recipe).toLowerCase();
+  const recipeGroups = recipe.ingredients.flatMap(findFoodGroups);
 
   const warnings = [];
 
   // Check for context mismatches
-  if (
-    contextLower.includes("dessert") &&
-    (recipeLower.includes("chicken") ||
-      recipeLower.includes("beef") ||
-      recipeLower.includes("pork"))
-  ) {
+  if (contextLower.includes("dessert") && recipeGroups.includes("meat")) {
     warnings.push(
       "This recipe contains meat ingredients but the context suggests a dessert"
     );
@@ -122,9 +190,7 @@ function validateRecipeContext(recipe, context, ingredients) {
 
   if (
     contextLower.includes("vegetarian") &&
-    (recipeLower.includes("meat") ||
-      recipeLower.includes("chicken") ||
-      recipeLower.includes("beef"))
+    ["meat", "fish", "shellfish"].some((group) => recipeGroups.includes(group))
   ) {
     warnings.push(
       "This recipe contains meat but the context suggests vegetarian"
@@ -138,24 +204,10 @@ function validateRecipeContext(recipe, context, ingredients) {
   }
 
   // Check if recipe uses ingredients not in our list
-  const availableIngredients = ingredients.map((ing) => ing.name.toLowerCase());
-  const commonPantryItems = [
-    "salt",
-    "pepper",
-    "oil",
-    "water",
-    "butter",
-    "flour",
-    "sugar",
-  ];
-
-  const missingIngredients = recipe.ingredients.filter((recipeIng) => {
-    const ingLower = recipeIng.toLowerCase();
-    return (
-      !availableIngredients.some((available) => ingLower.includes(available)) &&
-      !commonPantryItems.some((common) => ingLower.includes(common))
-    );
-  });
+  const { missing: missingIngredients } = matchRecipeIngredients(
+    recipe.ingredients,
+    ingredients
+  );
 
   if (missingIngredients.length > 0) {
     warnings.push(
@@ -167,28 +219,363 @@ function validateRecipeContext(recipe, context, ingredients) {
 }
 
 /**
- * Generate a recipe using OpenAI API
+ * Read a streamed chat completion (server-sent events), calling onText with
+ * the text received so far after every chunk
+ * Returns { text, usage }, usage is the API's usage block if it sent one
+ */
+async function readCompletionStream(response, onText) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  let usage = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    lines.forEach((line) => {
+      if (!line.startsWith("data:")) return;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+
+      try {
+        const chunk = JSON.parse(data);
+        if (chunk.usage) usage = chunk.usage;
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(text);
+        }
+      } catch (error) {
+        console.warn("Ignoring malformed stream chunk:", data);
+      }
+    });
+  }
+
+  return { text, usage };
+}
+
+/**
+ * Record the tokens a call used, estimating them if the server didn't say
+ */
+function recordUsage({ provider, model }, kind, messages, text, usage) {
+  const prompt = messages.map((message) => message.content).join("\n");
+  const tokens = usage ? normalizeUsage(usage) : estimateUsage(prompt, text);
+  UsageStorage.record({ kind, provider: provider.id, model, ...tokens });
+  return tokens;
+}
+
+// Retries of a request the provider turned away with 429 Too Many Requests
+const MAX_RATE_LIMIT_RETRIES = 3;
+const BASE_RETRY_DELAY = 1000;
+
+/**
+ * How long to wait before retrying a rate-limited request: as long as the
+ * server asks (Retry-After), or exponential backoff with some jitter
+ */
+function retryDelay(response, attempt) {
+  const retryAfter = Number(response.headers?.get("retry-after"));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return BASE_RETRY_DELAY * 2 ** attempt * (1 + Math.random() / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancelled = () =>
+      reject(new DOMException("Request cancelled", "AbortError"));
+    if (signal?.aborted) {
+      cancelled();
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        cancelled();
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Send a streamed chat completion to the provider, asking for JSON matching
+ * the recipe schema if the model supports it
+ * Returns { text, usage } and records the usage, also when cancelled
+ */
+async function requestCompletion(
+  request,
+  messages,
+  { onText = () => {}, kind = "recipe" } = {}
+) {
+  const { provider, baseUrl, apiKey, model, signal } = request;
+  const responseFormat = provider.responseFormat(
+    model,
+    RECIPE_SCHEMA,
+    "recipe"
+  );
+
+  const send = () =>
+    fetch(provider.chatUrl(baseUrl), {
+      method: "POST",
+      headers: provider.headers(apiKey),
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: 1500,
+        temperature: 0.8,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(responseFormat && { response_format: responseFormat }),
+      }),
+      signal,
+    }).catch((error) => {
+      // fetch() rejects with a TypeError when the server can't be reached
+      if (error instanceof TypeError) {
+        throw new Error(
+          `Could not reach ${provider.label} at ${baseUrl}. Please check the provider settings.`
+        );
+      }
+      throw error;
+    });
+
+  // Back off and try again while the provider is rate limiting us
+  let response = await send();
+  for (
+    let attempt = 0;
+    response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES;
+    attempt++
+  ) {
+    await sleep(retryDelay(response, attempt), signal);
+    response = await send();
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(
+      error.error?.message || `API request failed: ${response.status}`
+    );
+  }
+
+  // Tokens are spent even if the user cancels halfway
+  let received = "";
+  try {
+    const { text, usage } = await readCompletionStream(response, (text) => {
+      received = text;
+      onText(text);
+    });
+    return {
+      text,
+      usage: recordUsage(request, kind, messages, text, usage),
+    };
+  } catch (error) {
+    if (error.name === "AbortError" && received) {
+      recordUsage(request, kind, messages, received, null);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ask the model to correct a response that failed validation
+ */
+function buildRepairPrompt(errors) {
+  return `Your response could not be used as a recipe:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Reply with only the corrected recipe as a single JSON object in the format requested above. "difficulty" must be one of ${RECIPE_DIFFICULTIES.join(", ")}, "category" must be one of ${RECIPE_CATEGORIES.join(", ")} and "servings" must be a whole number.`;
+}
+
+/**
+ * Dietary constraints of everyone in the session (or just this user)
+ */
+export function getDietaryConstraints() {
+  const session = SessionStorage.get();
+  const user = UserStorage.get();
+  return combineDietaryProfiles(session?.participants || (user ? [user] : []));
+}
+
+/**
+ * The provider, key and model a call is made with
+ * Throws if the selected provider needs a key and there isn't a valid one,
+ * including when the user doesn't unlock it
+ */
+async function buildRequest(model, signal) {
+  const { provider, baseUrl, model: defaultModel } = getActiveProvider();
+
+  // Get API key
+  const apiKey = await requestApiKey();
+  if (!provider.isValidKey(apiKey)) {
+    throw new Error(
+      `No valid ${provider.label} API key found. Please set your API key first.`
+    );
+  }
+
+  return { provider, baseUrl, apiKey, model: model || defaultModel, signal };
+}
+
+/**
+ * Ask for a recipe and validate it, giving the model one chance to fix a
+ * response that doesn't match the schema
+ * Returns { recipe, usage } with the usage of both calls
+ */
+async function completeRecipe(
+  request,
+  messages,
+  { onProgress = null, onRepair = null, kind = "recipe" } = {}
+) {
+  // Show the recipe as it is written
+  const showProgress = (text) => {
+    const partial = parsePartialJson(text);
+    if (partial && typeof partial === "object" && !Array.isArray(partial)) {
+      onProgress?.(partial);
+    }
+  };
+
+  const first = await requestCompletion(request, messages, {
+    onText: showProgress,
+    kind,
+  });
+  let usage = first.usage;
+  let { recipe, errors } = parseRecipe(first.text);
+
+  // Give the model one chance to fix its own response
+  if (errors.length > 0) {
+    console.warn("Recipe failed validation, requesting a repair:", errors);
+    onRepair?.(errors);
+
+    const repaired = await requestCompletion(
+      request,
+      [
+        ...messages,
+        { role: "assistant", content: first.text },
+        { role: "user", content: buildRepairPrompt(errors) },
+      ],
+      { onText: showProgress, kind: "repair" }
+    );
+    usage = addUsage(usage, repaired.usage);
+    ({ recipe, errors } = parseRecipe(repaired.text));
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(
+      `The AI response didn't match the recipe format: ${errors.join("; ")}`
+    );
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return { recipe, usage };
+}
+
+/**
+ * Check a recipe against the context, the pantry and everyone's diets, and
+ * add its metadata. Throws if it breaks an allergy
+ */
+function reviewRecipe(
+  recipe,
+  { request, usage, context, ingredients, constraints }
+) {
+  // Validate against context
+  const warnings = validateRecipeContext(recipe, context, ingredients);
+
+  // Allergies block the recipe, diets flag it
+  const conflicts = checkRecipeDiet(recipe, constraints);
+  const blocked = conflicts.filter((c) => c.severity === "block");
+  if (blocked.length > 0) {
+    throw new Error(
+      `The recipe was rejected for dietary safety. ${blocked.map((c) => c.message).join("; ")}`
+    );
+  }
+  const flagged = conflicts.filter((c) => c.severity === "flag");
+  if (flagged.length > 0) {
+    recipe.dietaryConflicts = flagged;
+    warnings.push(...flagged.map((c) => c.message));
+  }
+
+  if (warnings.length > 0) {
+    recipe.warnings = warnings;
+  }
+
+  // Add metadata
+  recipe.generatedAt = Date.now();
+  recipe.provider = request.provider.id;
+  recipe.model = request.model;
+  recipe.usage = usage;
+  recipe.usedIngredients = ingredients.map((ing) => ing.name);
+  recipe.context = context;
+
+  return recipe;
+}
+
+/**
+ * Turn provider errors into messages for the user
+ */
+function describeGenerationError(error, provider) {
+  // Cancelled by the user, not an error
+  if (error.name === "AbortError") return error;
+
+  console.error("Recipe generation error:", error);
+
+  if (error.message.includes("API key")) {
+    return new Error(
+      `Invalid API key. Please check your ${provider.label} API key.`
+    );
+  } else if (error.message.includes("quota")) {
+    return new Error(
+      `${provider.label} API quota exceeded. Please check your account.`
+    );
+  } else if (error.message.includes("rate limit")) {
+    return new Error(
+      "Rate limit exceeded. Please wait a moment and try again."
+    );
+  }
+  return error;
+}
+
+const SYSTEM_MESSAGE = {
+  role: "system",
+  content:
+    "You are a professional chef assistant. Always respond with valid JSON format for recipes.",
+};
+
+/**
+ * Generate a recipe using the selected provider
+ * direction ({ cuisine, technique }) and avoidTitles steer it toward
+ * something the session doesn't have yet; mealSlot ({ date, meal, focus,
+ * avoidMains }) fits it into a meal plan
  */
 export async function generateRecipe(options = {}) {
   const {
     ingredients = null,
     context = null,
     blacklist = null,
-    model = "gpt-3.5-turbo",
+    model = null,
+    favorExpiring = true,
+    dietaryConstraints = null,
+    direction = null,
+    avoidTitles = [],
+    mealSlot = null,
+    onProgress = null,
+    onRepair = null,
+    signal = null,
   } = options;
 
-  // Get API key
-  const apiKey = OpenAIStorage.get();
-  if (!isValidApiKey(apiKey)) {
-    throw new Error(
-      "No valid OpenAI API key found. Please set your API key first."
-    );
-  }
+  const request = await buildRequest(model, signal);
 
   // Get data from storage if not provided
   const recipeIngredients = ingredients || IngredientsStorage.get();
   const recipeContext = context !== null ? context : ContextStorage.get();
   const recipeBlacklist = blacklist || BlacklistStorage.get();
+  const recipeConstraints = dietaryConstraints || getDietaryConstraints();
 
   if (recipeIngredients.length === 0) {
     throw new Error(
@@ -200,170 +587,125 @@ export async function generateRecipe(options = {}) {
   const prompt = buildRecipePrompt(
     recipeIngredients,
     recipeContext,
-    recipeBlacklist
+    recipeBlacklist,
+    favorExpiring,
+    recipeConstraints,
+    { direction, avoidTitles, mealSlot }
   );
 
+  const messages = [SYSTEM_MESSAGE, { role: "user", content: prompt }];
+
   try {
-    const response = await fetch(OPENAI_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a professional chef assistant. Always respond with valid JSON format for recipes.",
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        max_tokens: 1500,
-        temperature: 0.8,
-      }),
+    const { recipe, usage } = await completeRecipe(request, messages, {
+      onProgress,
+      onRepair,
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(
-        error.error?.message || `API request failed: ${response.status}`
-      );
-    }
-
-    const data = await response.json();
-    const recipeText = data.choices[0]?.message?.content;
-
-    if (!recipeText) {
-      throw new Error("No recipe generated. Please try again.");
-    }
+    return reviewRecipe(recipe, {
+      request,
+      usage,
+      context: recipeContext,
+      ingredients: recipeIngredients,
+      constraints: recipeConstraints,
+    });
+  } catch (error) {
+    throw describeGenerationError(error, request.provider);
+  }
+}
 
-    // Parse the JSON response
-    let recipe;
-    try {
-      // Clean up the response (remove markdown code blocks if present)
-      const cleanedText = recipeText
-        .replace(/```json\n?/, "")
-        .replace(/```\n?$/, "");
-      recipe = JSON.parse(cleanedText);
-    } catch (parseError) {
-      console.error("Failed to parse recipe JSON:", parseError);
-      throw new Error("Failed to parse recipe. The AI response was malformed.");
-    }
+// The parts of a recipe the model needs to rewrite it
+function recipeForPrompt(recipe) {
+  return Object.fromEntries(
+    Object.keys(RECIPE_SCHEMA.properties).map((key) => [key, recipe[key]])
+  );
+}
 
-    // Validate required fields
-    const requiredFields = ["title", "ingredients", "instructions"];
-    for (const field of requiredFields) {
-      if (!recipe[field]) {
-        throw new Error(`Recipe is missing required field: ${field}`);
-      }
-    }
+/**
+ * Build the prompt asking for a revision of a recipe
+ */
+function buildRefinePrompt(recipe, instruction, blacklist, dietaryConstraints) {
+  const blacklistText =
+    blacklist.length > 0
+      ? `\n\nDO NOT use these ingredients: ${blacklist.join(", ")}`
+      : "";
+  const dietaryText =
+    dietaryConstraints.length > 0
+      ? `\n\n${describeDietaryConstraints(dietaryConstraints)}`
+      : "";
 
-    // Set default values for missing optional fields
-    recipe.difficulty = recipe.difficulty || "Medium";
-    recipe.prepTime = recipe.prepTime || "30 minutes";
-    recipe.cookTime = recipe.cookTime || "30 minutes";
-    recipe.servings = recipe.servings || 4;
-    recipe.category = recipe.category || "Main Dish";
-    recipe.description = recipe.description || "";
-    recipe.tips = recipe.tips || "";
-
-    // Validate against context
-    const warnings = validateRecipeContext(
-      recipe,
-      recipeContext,
-      recipeIngredients
-    );
-    if (warnings.length > 0) {
-      recipe.warnings = warnings;
-    }
+  return `Here is a recipe:
+${JSON.stringify(recipeForPrompt(recipe), null, 2)}
 
-    // Add metadata
-    recipe.generatedAt = Date.now();
-    recipe.model = model;
-    recipe.usedIngredients = recipeIngredients.map((ing) => ing.name);
-    recipe.context = recipeContext;
+Revise it as follows: ${instruction}${blacklistText}${dietaryText}
 
-    return recipe;
-  } catch (error) {
-    console.error("Recipe generation error:", error);
-
-    // Provide user-friendly error messages
-    if (error.message.includes("API key")) {
-      throw new Error("Invalid API key. Please check your OpenAI API key.");
-    } else if (error.message.includes("quota")) {
-      throw new Error(
-        "OpenAI API quota exceeded. Please check your OpenAI account."
-      );
-    } else if (error.message.includes("rate limit")) {
-      throw new Error(
-        "Rate limit exceeded. Please wait a moment and try again."
-      );
-    } else {
-      throw error;
-    }
-  }
+Reply with the complete revised recipe as a single JSON object in the same format. Keep everything the request doesn't ask you to change, and update the title, quantities, times and servings if the change affects them.`;
 }
 
 /**
- * Generate multiple recipe variations
+ * Ask the model for a revision of a recipe, e.g. "make it spicier"
+ * Takes the same options as generateRecipe; the revision is checked against
+ * the current pantry and diets like a new recipe
  */
-export async function generateRecipeVariations(count = 3, options = {}) {
-  const recipes = [];
-  const errors = [];
-
-  for (let i = 0; i < count; i++) {
-    try {
-      // Add slight variation to the prompt for each generation
-      const variedOptions = {
-        ...options,
-        context: options.context
-          ? `${options.context} (Variation ${i + 1})`
-          : `Recipe variation ${i + 1}`,
-      };
-
-      const recipe = await generateRecipe(variedOptions);
-      recipes.push(recipe);
+export async function refineRecipe(recipe, instruction, options = {}) {
+  const {
+    blacklist = null,
+    model = null,
+    dietaryConstraints = null,
+    onProgress = null,
+    onRepair = null,
+    signal = null,
+  } = options;
 
-      // Small delay to avoid hitting rate limits
-      if (i < count - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
-    } catch (error) {
-      errors.push({ variation: i + 1, error: error.message });
-    }
+  if (!instruction?.trim()) {
+    throw new Error("Please describe how the recipe should change");
   }
 
-  return { recipes, errors };
+  const request = await buildRequest(model, signal);
+  const recipeConstraints = dietaryConstraints || getDietaryConstraints();
+  const prompt = buildRefinePrompt(
+    recipe,
+    instruction.trim(),
+    blacklist || BlacklistStorage.get(),
+    recipeConstraints
+  );
+
+  const messages = [SYSTEM_MESSAGE, { role: "user", content: prompt }];
+
+  try {
+    const { recipe: revised, usage } = await completeRecipe(
+      request,
+      messages,
+      { onProgress, onRepair, kind: "refine" }
+    );
+
+    return reviewRecipe(revised, {
+      request,
+      usage,
+      context: recipe.context || "",
+      ingredients: IngredientsStorage.get(),
+      constraints: recipeConstraints,
+    });
+  } catch (error) {
+    throw describeGenerationError(error, request.provider);
+  }
 }
 
 /**
- * Estimate recipe generation cost (approximate)
+ * Estimate the cost of generating a recipe from the tokens earlier recipes
+ * used, priced with the user's price table
+ * Returns null when the model's price is unknown
  */
-export function estimateApiCost(model = "gpt-3.5-turbo") {
-  const costs = {
-    "gpt-3.5-turbo": 0.002, // per 1K tokens
-    "gpt-4": 0.03,
-    "gpt-4-turbo": 0.01,
-  };
-
-  const estimatedTokens = 1500; // Conservative estimate for recipe generation
-  const costPer1K = costs[model] || costs["gpt-3.5-turbo"];
-
-  return (estimatedTokens / 1000) * costPer1K;
+export function estimateApiCost(model = getActiveProvider().model) {
+  return estimateRecipeCost(
+    UsageStorage.getHistory(),
+    model,
+    getPriceTable(PriceStorage.get())
+  );
 }
 
 /**
- * Get supported models
+ * Get supported models of the selected provider
  */
 export function getSupportedModels() {
-  return [
-    { id: "gpt-3.5-turbo", name: "GPT-3.5 Turbo (Recommended)", cost: "Low" },
-    { id: "gpt-4", name: "GPT-4 (High Quality)", cost: "High" },
-    { id: "gpt-4-turbo", name: "GPT-4 Turbo", cost: "Medium" },
-  ];
+  return getActiveProvider().provider.models;
 }
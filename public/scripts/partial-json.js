@@ -0,0 +1,74 @@
+/**
+ * Partial JSON parsing for Pantry Party
+ * Reads as much as possible from JSON that is still being streamed, e.g.
+ * '{"title": "Pasta", "ingredients": ["1 cup fl' -> { title: "Pasta", ingredients: ["1 cup fl"] }
+ */
+
+/**
+ * Remove a markdown code fence around a model response
+ */
+export function stripCodeFence(text) {
+  return text
+    .replace(/^\s*```(?:json)?\s*\n?/, "")
+    .replace(/\n?```\s*$/, "");
+}
+
+/**
+ * Close whatever is still open at the end of the text: the current string
+ * and every unclosed array and object
+ */
+function closeJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      stack.push(char === "{" ? "}" : "]");
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+    }
+  }
+
+  let closed = text;
+  if (inString) closed += escaped ? '\\"' : '"';
+  return closed + stack.reverse().join("");
+}
+
+/**
+ * Parse JSON that may be cut off anywhere
+ * Returns the parsed value, or null if nothing usable has arrived yet
+ */
+export function parsePartialJson(text) {
+  let candidate = stripCodeFence(text).trim();
+  const start = candidate.search(/[{[]/);
+  if (start === -1) return null;
+  candidate = candidate.slice(start);
+
+  // Drop unfinished tokens from the end until what's left can be closed
+  for (let attempt = 0; attempt < 50 && candidate; attempt++) {
+    try {
+      return JSON.parse(closeJson(candidate));
+    } catch {
+      const cut = Math.max(
+        candidate.lastIndexOf(","),
+        candidate.lastIndexOf(":"),
+        candidate.lastIndexOf("["),
+        candidate.lastIndexOf("{")
+      );
+      if (cut <= 0) return null;
+
+      // Keep an opening bracket, drop a trailing separator
+      const kept = candidate[cut] === "[" || candidate[cut] === "{" ? 1 : 0;
+      candidate = candidate.slice(0, cut + kept);
+    }
+  }
+
+  return null;
+}
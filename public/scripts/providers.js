@@ -0,0 +1,228 @@
+/**
+ * LLM providers for Pantry Party
+ * A provider knows its endpoint, how to authenticate, which models it offers and
+ * what its API keys look like. All current providers speak the OpenAI chat
+ * completions API, so they are built by createOpenAICompatibleProvider()
+ */
+
+export const DEFAULT_PROVIDER = "openai";
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, "");
+}
+
+// Validation keywords that strict structured output rejects
+const UNSUPPORTED_IN_STRICT = ["minItems", "minLength", "minimum"];
+
+function strictSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(strictSchema);
+  if (!schema || typeof schema !== "object") return schema;
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !UNSUPPORTED_IN_STRICT.includes(key))
+      .map(([key, value]) => [key, strictSchema(value)])
+  );
+}
+
+/**
+ * Build a provider for an OpenAI-compatible API
+ *
+ * authScheme:       "bearer" (Authorization: Bearer <key>) or "none"
+ * requiresKey:      whether recipes can be generated without a key
+ * structuredOutput: "json_schema", "json_object" or false, how the API can be
+ *                   made to answer in JSON; a model may override it
+ * models:           [{ id, name, price, structuredOutput }], suggestions
+ *                   shown in the settings; price is { input, output } in
+ *                   dollars per million tokens
+ */
+export function createOpenAICompatibleProvider({
+  id,
+  label,
+  defaultBaseUrl,
+  defaultModel,
+  models = [],
+  authScheme = "bearer",
+  requiresKey = true,
+  structuredOutput = false,
+  keyPattern = null,
+  keyLabel = `${label} API Key`,
+  keyPlaceholder = "",
+  keyHelpUrl = null,
+}) {
+  return {
+    id,
+    label,
+    defaultBaseUrl,
+    defaultModel,
+    models,
+    authScheme,
+    requiresKey,
+    keyLabel,
+    keyPlaceholder,
+    keyHelpUrl,
+
+    isValidKey(apiKey) {
+      if (!apiKey) return !requiresKey;
+      if (typeof apiKey !== "string") return false;
+      return keyPattern ? keyPattern.test(apiKey) : true;
+    },
+
+    chatUrl(baseUrl = defaultBaseUrl) {
+      return `${trimTrailingSlash(baseUrl)}/chat/completions`;
+    },
+
+    modelsUrl(baseUrl = defaultBaseUrl) {
+      return `${trimTrailingSlash(baseUrl)}/models`;
+    },
+
+    /**
+     * The response_format request field making the model answer with JSON
+     * matching the schema, or null if the model has no JSON mode
+     */
+    responseFormat(model, schema, name = "response") {
+      const mode =
+        models.find((m) => m.id === model)?.structuredOutput ??
+        structuredOutput;
+
+      if (mode === "json_schema") {
+        return {
+          type: "json_schema",
+          json_schema: { name, strict: true, schema: strictSchema(schema) },
+        };
+      }
+      if (mode === "json_object") return { type: "json_object" };
+      return null;
+    },
+
+    headers(apiKey) {
+      const headers = { "Content-Type": "application/json" };
+      if (authScheme === "bearer" && apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      return headers;
+    },
+
+    /**
+     * Models the server offers, used to check the connection and key
+     */
+    async listModels({ baseUrl, apiKey, signal } = {}) {
+      const response = await fetch(this.modelsUrl(baseUrl), {
+        headers: this.headers(apiKey),
+        signal,
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(
+          error.error?.message || `Request failed: ${response.status}`
+        );
+      }
+
+      const data = await response.json();
+      return (data.data || data.models || []).map((model) => ({
+        id: model.id || model.name,
+        name: model.id || model.name,
+      }));
+    },
+  };
+}
+
+export const PROVIDERS = {
+  openai: createOpenAICompatibleProvider({
+    id: "openai",
+    label: "OpenAI",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-3.5-turbo",
+    models: [
+      {
+        id: "gpt-3.5-turbo",
+        name: "GPT-3.5 Turbo (Recommended)",
+        price: { input: 0.5, output: 1.5 },
+      },
+      {
+        id: "gpt-4o-mini",
+        name: "GPT-4o mini",
+        price: { input: 0.15, output: 0.6 },
+        structuredOutput: "json_schema",
+      },
+      {
+        id: "gpt-4o",
+        name: "GPT-4o",
+        price: { input: 2.5, output: 10 },
+        structuredOutput: "json_schema",
+      },
+      {
+        id: "gpt-4",
+        name: "GPT-4 (High Quality)",
+        price: { input: 30, output: 60 },
+        structuredOutput: false,
+      },
+      {
+        id: "gpt-4-turbo",
+        name: "GPT-4 Turbo",
+        price: { input: 10, output: 30 },
+      },
+    ],
+    structuredOutput: "json_object",
+    keyPattern: /^sk-.{18,}$/,
+    keyPlaceholder: "sk-...",
+    keyHelpUrl: "https://platform.openai.com/api-keys",
+  }),
+
+  openrouter: createOpenAICompatibleProvider({
+    id: "openrouter",
+    label: "OpenRouter",
+    defaultBaseUrl: "https://openrouter.ai/api/v1",
+    defaultModel: "openai/gpt-4o-mini",
+    models: [
+      {
+        id: "openai/gpt-4o-mini",
+        name: "GPT-4o mini",
+        price: { input: 0.15, output: 0.6 },
+      },
+      {
+        id: "anthropic/claude-3.5-haiku",
+        name: "Claude 3.5 Haiku",
+        price: { input: 0.8, output: 4 },
+      },
+      {
+        id: "meta-llama/llama-3.1-70b-instruct",
+        name: "Llama 3.1 70B",
+        price: { input: 0.4, output: 0.4 },
+      },
+      {
+        id: "mistralai/mistral-small",
+        name: "Mistral Small",
+        price: { input: 0.2, output: 0.6 },
+      },
+    ],
+    structuredOutput: "json_object",
+    keyPattern: /^sk-or-.{10,}$/,
+    keyPlaceholder: "sk-or-...",
+    keyHelpUrl: "https://openrouter.ai/keys",
+  }),
+
+  local: createOpenAICompatibleProvider({
+    id: "local",
+    label: "Self-hosted (Ollama, llama.cpp, LM Studio)",
+    defaultBaseUrl: "http://localhost:11434/v1",
+    defaultModel: "llama3.1",
+    models: [
+      { id: "llama3.1", name: "Llama 3.1", price: { input: 0, output: 0 } },
+      { id: "mistral", name: "Mistral", price: { input: 0, output: 0 } },
+      { id: "qwen2.5", name: "Qwen 2.5", price: { input: 0, output: 0 } },
+    ],
+    requiresKey: false,
+    structuredOutput: "json_schema",
+    keyLabel: "API Key (optional)",
+    keyPlaceholder: "Only if your server requires one",
+  }),
+};
+
+/**
+ * Look up a provider, falling back to the default for unknown ids
+ */
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
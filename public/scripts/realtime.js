@@ -0,0 +1,226 @@
+/**
+ * Real-time session connection for Pantry Party
+ * Connects to the session WebSocket server and keeps local session state in sync
+ */
+
+import {
+  IdentityStorage,
+  exportSessionState,
+  importSessionState,
+  applySessionEvent,
+  setSessionEventTransport,
+} from "./storage.js";
+
+const SOCKET_PATH = "/ws";
+const RECONNECT_DELAY = 2000;
+
+let socket = null;
+let currentJoin = null;
+const listeners = new Map();
+
+// Local events made while offline, replayed once we are back in the room
+let pendingEvents = [];
+
+/**
+ * Build the session socket URL for the current origin
+ */
+function getSocketUrl() {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${window.location.host}${SOCKET_PATH}`;
+}
+
+/**
+ * Let the header (and anyone else) know about connection changes
+ */
+function setConnectionStatus(status) {
+  window.dispatchEvent(
+    new CustomEvent("connectionStatusChanged", { detail: status })
+  );
+}
+
+function emit(message) {
+  (listeners.get(message.type) || []).forEach((handler) => handler(message));
+}
+
+/**
+ * Subscribe to a session message type, returns an unsubscribe function
+ */
+export function onSessionMessage(type, handler) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(handler);
+  return () => listeners.get(type).delete(handler);
+}
+
+/**
+ * Send a message to the session server if connected
+ */
+export function sendSessionMessage(message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Forward a local session event to the room, or keep it until we reconnect
+ */
+function sendSessionEvent(event) {
+  if (!sendSessionMessage({ type: "session:event", event })) {
+    pendingEvents.push(event);
+  }
+}
+
+/**
+ * Replay events made while offline on top of the state the server sent
+ */
+function flushPendingEvents() {
+  const events = pendingEvents;
+  pendingEvents = [];
+  events.forEach((event) => {
+    applySessionEvent(event);
+    sendSessionEvent(event);
+  });
+}
+
+/**
+ * Have the session server start a session hosted by hostId, under a new
+ * code or a restored session's own one. Resolves to { code, hostSecret };
+ * the server only hands out a code's secret once
+ */
+export async function registerSession(hostId, code = null) {
+  const response = await fetch("/api/sessions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ hostId, code }),
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(
+      body.error || `Failed to create the session: ${response.status}`
+    );
+  }
+  return body;
+}
+
+/**
+ * Hosts seed the room with their local state, participants ask to join it
+ * Hosts prove who they are with the host secret the server issued with the
+ * session (see registerSession), participants who joined before with the
+ * token the server gave them
+ */
+function announce() {
+  const { code, user, isHost } = currentJoin;
+  const { hostSecret, token } = IdentityStorage.get();
+
+  if (isHost) {
+    sendSessionMessage({
+      type: "session:open",
+      code,
+      user: {
+        id: user.id,
+        name: user.name,
+        dietaryProfile: user.dietaryProfile,
+      },
+      hostSecret,
+      state: exportSessionState(),
+    });
+  } else {
+    sendSessionMessage({
+      type: "session:join",
+      code,
+      user: {
+        id: user.id,
+        name: user.name,
+        dietaryProfile: user.dietaryProfile,
+      },
+      token,
+    });
+  }
+}
+
+/**
+ * Connect to a session room
+ * Resolves with the session state sent by the server once joined
+ */
+export function connectToSession({ code, user, isHost = false }) {
+  currentJoin = { code, user, isHost };
+  setSessionEventTransport(sendSessionEvent);
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const open = () => {
+      setConnectionStatus("connecting");
+      socket = new WebSocket(getSocketUrl());
+
+      socket.addEventListener("open", () => {
+        setConnectionStatus("connected");
+        announce();
+      });
+
+      socket.addEventListener("message", (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          console.warn("Ignoring malformed session message:", event.data);
+          return;
+        }
+
+        if (message.type === "session:identity") {
+          IdentityStorage.setToken(message.token);
+        } else if (message.type === "session:state") {
+          importSessionState(message.state);
+          flushPendingEvents();
+          if (!settled) {
+            settled = true;
+            resolve(message.state);
+          }
+        } else if (message.type === "session:event") {
+          applySessionEvent(message.event);
+        } else if (message.type === "session:error" && !settled) {
+          settled = true;
+          currentJoin = null;
+          setSessionEventTransport(null);
+          reject(new Error(message.message));
+        }
+
+        emit(message);
+      });
+
+      socket.addEventListener("close", () => {
+        setConnectionStatus("disconnected");
+
+        if (!settled) {
+          settled = true;
+          currentJoin = null;
+          setSessionEventTransport(null);
+          reject(new Error("Could not connect to the session server"));
+          return;
+        }
+
+        // Keep trying while we are still in the session
+        if (currentJoin) {
+          setTimeout(open, RECONNECT_DELAY);
+        }
+      });
+    };
+
+    open();
+  });
+}
+
+/**
+ * Leave the current session room
+ */
+export function disconnectFromSession() {
+  currentJoin = null;
+  pendingEvents = [];
+  setSessionEventTransport(null);
+  if (socket) {
+    socket.close();
+    socket = null;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Recipe diversity for Pantry Party
+ * Steers each of several recipe options toward a different cuisine and
+ * cooking technique, and spots results that are too close to a recipe the
+ * session already has
+ */
+
+import { PANTRY_STAPLES, parseRecipeLine } from "./ingredient-matcher.js";
+
+export const RECIPE_CUISINES = [
+  "Italian",
+  "Mexican",
+  "Indian",
+  "Japanese",
+  "Thai",
+  "Middle Eastern",
+  "French",
+  "Korean",
+  "Greek",
+  "American comfort food",
+];
+
+export const RECIPE_TECHNIQUES = [
+  "stir-fry",
+  "oven roast",
+  "soup or stew",
+  "fresh salad",
+  "bake",
+  "braise",
+  "grilled dish",
+  "one-pot grain dish",
+];
+
+// Above either of these a new recipe counts as a repeat
+export const SIMILARITY_THRESHOLDS = {
+  title: 0.6,
+  ingredients: 0.7,
+};
+
+// Too few distinct ingredients to say two recipes are alike
+const MIN_COMPARED_INGREDIENTS = 3;
+
+const TITLE_STOPWORDS = new Set([
+  "a",
+  "and",
+  "in",
+  "of",
+  "on",
+  "the",
+  "with",
+  "style",
+]);
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * A different cuisine and technique for each of count options
+ * Returns [{ cuisine, technique }]
+ */
+export function pickDirections(count, random = Math.random) {
+  const cuisines = shuffle(RECIPE_CUISINES, random);
+  const techniques = shuffle(RECIPE_TECHNIQUES, random);
+  return Array.from({ length: count }, (_, index) => ({
+    cuisine: cuisines[index % cuisines.length],
+    technique: techniques[index % techniques.length],
+  }));
+}
+
+/**
+ * Prompt text steering a recipe toward its direction and away from the
+ * recipes already suggested
+ */
+export function describeDirection(direction, avoidTitles = []) {
+  const parts = [];
+  if (direction) {
+    parts.push(
+      `Make this a ${direction.cuisine} recipe, cooked as a ${direction.technique}. If the ingredients really don't suit that, pick another cuisine or technique rather than a common default.`
+    );
+  }
+  if (avoidTitles.length > 0) {
+    parts.push(
+      `It must be clearly different from these recipes we already have: ${avoidTitles.join(", ")}`
+    );
+  }
+  return parts.join("\n");
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  const shared = [...a].filter((item) => b.has(item)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+function titleWords(title = "") {
+  return new Set(
+    title
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter((word) => word && !TITLE_STOPWORDS.has(word))
+  );
+}
+
+function ingredientNames(recipe) {
+  return new Set(
+    (recipe.ingredients || [])
+      .map((line) => parseRecipeLine(line).core)
+      .filter((name) => name && !PANTRY_STAPLES.includes(name))
+  );
+}
+
+/**
+ * How alike two recipes are, each from 0 to 1
+ * Returns { title, ingredients }
+ */
+export function recipeSimilarity(a, b) {
+  const namesA = ingredientNames(a);
+  const namesB = ingredientNames(b);
+  const compared = new Set([...namesA, ...namesB]).size;
+
+  return {
+    title: jaccard(titleWords(a.title), titleWords(b.title)),
+    ingredients:
+      compared >= MIN_COMPARED_INGREDIENTS ? jaccard(namesA, namesB) : 0,
+  };
+}
+
+/**
+ * The first existing recipe a new one repeats, with the reason
+ * Returns { recipe, reason } or null
+ */
+export function findSimilarRecipe(
+  recipe,
+  recipes,
+  thresholds = SIMILARITY_THRESHOLDS
+) {
+  for (const existing of recipes) {
+    const similarity = recipeSimilarity(recipe, existing);
+    if (similarity.title >= thresholds.title) {
+      return {
+        recipe: existing,
+        reason: `its title is too close to "${existing.title}"`,
+      };
+    }
+    if (similarity.ingredients >= thresholds.ingredients) {
+      return {
+        recipe: existing,
+        reason: `it uses nearly the same ingredients as "${existing.title}"`,
+      };
+    }
+  }
+  return null;
+}
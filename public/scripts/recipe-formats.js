@@ -0,0 +1,521 @@
+/**
+ * Recipe import and export for Pantry Party
+ * Writes recipes as schema.org Recipe JSON-LD, Markdown and a printable HTML
+ * page, and reads them back from JSON-LD (on its own or in a web page's
+ * HTML) and Markdown, so recipes can move to and from other cooking apps.
+ * Imported recipes are checked against the same schema as generated ones
+ */
+
+import { findDurations } from "./cook-timers.js";
+import {
+  RECIPE_CATEGORIES,
+  RECIPE_SCHEMA,
+  checkRecipe,
+} from "./recipe-schema.js";
+
+export const RECIPE_FORMATS = {
+  JSON_LD: "jsonld",
+  MARKDOWN: "markdown",
+  HTML: "html",
+};
+
+// File extension and MIME type of each export
+export const FORMAT_FILES = {
+  [RECIPE_FORMATS.JSON_LD]: {
+    extension: "jsonld",
+    type: "application/ld+json",
+  },
+  [RECIPE_FORMATS.MARKDOWN]: { extension: "md", type: "text/markdown" },
+  [RECIPE_FORMATS.HTML]: { extension: "html", type: "text/html" },
+};
+
+// Words in another app's category that map onto ours
+const CATEGORY_WORDS = [
+  ["Dessert", /dessert|cake|cookie|pudding|sweet/i],
+  ["Beverage", /drink|beverage|cocktail|smoothie/i],
+  ["Appetizer", /appetizer|starter|hors d/i],
+  ["Snack", /snack/i],
+  ["Main Dish", /main|dinner|lunch|entr[ée]e/i],
+];
+
+// Markdown headings that start each part of a recipe
+const MARKDOWN_SECTIONS = [
+  ["ingredients", /ingredient/i],
+  ["instructions", /instruction|direction|method|step|preparation/i],
+  ["tips", /tip|note/i],
+];
+
+// "**Prep:** 15 minutes" labels and the fields they fill
+const MARKDOWN_FIELDS = {
+  category: "category",
+  difficulty: "difficulty",
+  prep: "prepTime",
+  "prep time": "prepTime",
+  cook: "cookTime",
+  "cook time": "cookTime",
+  servings: "servings",
+  serves: "servings",
+  yield: "servings",
+};
+
+const HTML_ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&apos;": "'",
+  "&nbsp;": " ",
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Text from another app's JSON-LD may still carry markup and entities
+function cleanText(text) {
+  return String(text ?? "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(?:[a-z]+|#\d+);/gi, (entity) =>
+      entity in HTML_ENTITIES
+        ? HTML_ENTITIES[entity]
+        : /^&#\d+;$/.test(entity)
+          ? String.fromCharCode(parseInt(entity.slice(2), 10))
+          : entity
+    )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * "1 hour 15 minutes" as an ISO 8601 duration ("PT1H15M"), or null
+ */
+export function toIsoDuration(text) {
+  const [duration] = findDurations(text || "");
+  if (!duration) return null;
+
+  const hours = Math.floor(duration.maxSeconds / 3600);
+  const minutes = Math.round((duration.maxSeconds % 3600) / 60);
+  const hoursPart = hours ? `${hours}H` : "";
+  const minutesPart = minutes || !hours ? `${minutes}M` : "";
+  return `PT${hoursPart}${minutesPart}`;
+}
+
+/**
+ * "PT1H15M" as "1 hour 15 minutes", or null if it isn't a duration
+ */
+export function fromIsoDuration(iso) {
+  const match = String(iso || "").match(
+    /^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:\d+(?:\.\d+)?S)?)?$/
+  );
+  if (!match) return null;
+
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  const total = Math.round(days * 1440 + hours * 60 + Number(minutes));
+  if (total === 0) return null;
+
+  const count = (value, word) =>
+    value ? `${value} ${word}${value > 1 ? "s" : ""}` : "";
+  return [count(Math.floor(total / 60), "hour"), count(total % 60, "minute")]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function matchCategory(value) {
+  const names = [value].flat().filter(Boolean).map(String);
+  const exact = RECIPE_CATEGORIES.find((category) =>
+    names.some((name) => name.toLowerCase() === category.toLowerCase())
+  );
+  if (exact) return exact;
+
+  const word = CATEGORY_WORDS.find(([, pattern]) =>
+    names.some((name) => pattern.test(name))
+  );
+  return word?.[0];
+}
+
+// "4", "4 servings", ["4", "4 servings"] or "Serves 4-6"
+function parseServings(value) {
+  const match = [value].flat().join(" ").match(/\d+/);
+  return match ? parseInt(match[0], 10) : undefined;
+}
+
+/**
+ * A recipe as schema.org Recipe JSON-LD
+ * Steps become HowToSteps and the tips a HowToTip at the end; a cookbook
+ * entry's tags become its keywords
+ */
+export function recipeToJsonLd(recipe) {
+  const prepTime = toIsoDuration(recipe.prepTime);
+  const cookTime = toIsoDuration(recipe.cookTime);
+  const created = recipe.createdAt || recipe.savedAt;
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    name: recipe.title,
+    description: recipe.description || undefined,
+    recipeCategory: recipe.category || undefined,
+    recipeYield: recipe.servings ? `${recipe.servings} servings` : undefined,
+    prepTime: prepTime || undefined,
+    cookTime: cookTime || undefined,
+    recipeIngredient: recipe.ingredients,
+    recipeInstructions: [
+      ...recipe.instructions.map((text) => ({ "@type": "HowToStep", text })),
+      ...(recipe.tips ? [{ "@type": "HowToTip", text: recipe.tips }] : []),
+    ],
+    keywords: recipe.tags?.length > 0 ? recipe.tags.join(", ") : undefined,
+    dateCreated: created ? new Date(created).toISOString() : undefined,
+  };
+}
+
+/**
+ * One recipe, or several as a @graph, as JSON-LD text
+ */
+export function recipesToJsonLd(recipes) {
+  const nodes = recipes.map(recipeToJsonLd);
+  const document =
+    nodes.length === 1
+      ? nodes[0]
+      : {
+          "@context": "https://schema.org",
+          "@graph": nodes.map(({ "@context": context, ...node }) => node),
+        };
+  return JSON.stringify(document, null, 2);
+}
+
+function recipeDetails(recipe) {
+  return [
+    ["Category", recipe.category],
+    ["Difficulty", recipe.difficulty],
+    ["Prep", recipe.prepTime],
+    ["Cook", recipe.cookTime],
+    ["Servings", recipe.servings],
+  ].filter(([, value]) => value);
+}
+
+/**
+ * A recipe as Markdown, in the layout parseMarkdownRecipes reads back
+ */
+export function recipeToMarkdown(recipe) {
+  const details = recipeDetails(recipe)
+    .map(([label, value]) => `**${label}:** ${value}`)
+    .join(" · ");
+
+  return [
+    `# ${recipe.title}`,
+    recipe.description ? `\n${recipe.description}` : "",
+    details ? `\n${details}` : "",
+    "\n## Ingredients\n",
+    ...recipe.ingredients.map((line) => `- ${line}`),
+    "\n## Instructions\n",
+    ...recipe.instructions.map((step, index) => `${index + 1}. ${step}`),
+    recipe.tips ? `\n## Tips\n\n${recipe.tips}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function recipesToMarkdown(recipes) {
+  return recipes.map(recipeToMarkdown).join("\n\n---\n\n");
+}
+
+function recipeToHtml(recipe) {
+  const details = recipeDetails(recipe)
+    .map(
+      ([label, value]) =>
+        `<span><strong>${label}:</strong> ${escapeHtml(value)}</span>`
+    )
+    .join("");
+
+  return `
+  <article class="recipe">
+    <h1>${escapeHtml(recipe.title)}</h1>
+    ${recipe.description ? `<p class="description">${escapeHtml(recipe.description)}</p>` : ""}
+    <div class="details">${details}</div>
+    <h2>Ingredients</h2>
+    <ul>
+      ${recipe.ingredients.map((line) => `<li>${escapeHtml(line)}</li>`).join("\n      ")}
+    </ul>
+    <h2>Instructions</h2>
+    <ol>
+      ${recipe.instructions.map((step) => `<li>${escapeHtml(step)}</li>`).join("\n      ")}
+    </ol>
+    ${recipe.tips ? `<h2>Tips</h2>\n    <p>${escapeHtml(recipe.tips)}</p>` : ""}
+  </article>`;
+}
+
+/**
+ * A printable page with every recipe, one per printed page, that also
+ * carries their JSON-LD for apps that import from web pages
+ */
+export function recipesToHtml(recipes, { title = "Recipes" } = {}) {
+  // "</script>" inside a string would end the script element
+  const jsonLd = recipesToJsonLd(recipes).replace(/<\//g, "<\\/");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(title)}</title>
+  <script type="application/ld+json">
+${jsonLd}
+  </script>
+  <style>
+    body { font-family: Georgia, serif; color: #1f2937; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { font-size: 1.75rem; margin-bottom: 0.5rem; }
+    h2 { font-size: 1.125rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    .description { color: #4b5563; font-style: italic; }
+    .details { display: flex; flex-wrap: wrap; gap: 1rem; font-size: 0.875rem; }
+    li { margin-bottom: 0.25rem; }
+    .recipe + .recipe { margin-top: 3rem; padding-top: 2rem; border-top: 2px solid #e5e7eb; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .recipe + .recipe { break-before: page; border-top: none; margin-top: 0; }
+    }
+  </style>
+</head>
+<body>${recipes.map(recipeToHtml).join("\n")}
+</body>
+</html>
+`;
+}
+
+// Steps from every shape of recipeInstructions, with HowToTips set aside
+function readInstructions(value, tips) {
+  if (!value) return [];
+  if (typeof value === "string") {
+    return value
+      .split(/\n+/)
+      .map((line) => cleanText(line).replace(/^\d+[.)]\s*/, ""))
+      .filter(Boolean);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => readInstructions(item, tips));
+  }
+
+  const type = [value["@type"]].flat().join(" ");
+  if (/HowToTip/.test(type)) {
+    tips.push(cleanText(value.text));
+    return [];
+  }
+  if (/HowToSection|ItemList/.test(type)) {
+    return readInstructions(value.itemListElement, tips);
+  }
+  return readInstructions(value.text || value.name, tips);
+}
+
+/**
+ * A schema.org Recipe node as one of our recipes (not yet checked)
+ */
+export function recipeFromJsonLd(node) {
+  const tips = [];
+  const instructions = readInstructions(node.recipeInstructions, tips);
+
+  return {
+    title: cleanText(node.name),
+    description: node.description ? cleanText(node.description) : undefined,
+    category: matchCategory(node.recipeCategory),
+    prepTime: fromIsoDuration(node.prepTime) || undefined,
+    cookTime:
+      fromIsoDuration(node.cookTime) ||
+      fromIsoDuration(node.totalTime) ||
+      undefined,
+    servings: parseServings(node.recipeYield),
+    ingredients: [node.recipeIngredient || node.ingredients || []]
+      .flat()
+      .map(cleanText)
+      .filter(Boolean),
+    instructions,
+    tips: tips.filter(Boolean).join(" ") || undefined,
+  };
+}
+
+function isRecipeNode(node) {
+  return [node?.["@type"]].flat().includes("Recipe");
+}
+
+// Every Recipe in a JSON-LD document, however it is nested
+function findRecipeNodes(value) {
+  if (Array.isArray(value)) return value.flatMap(findRecipeNodes);
+  if (!value || typeof value !== "object") return [];
+  if (isRecipeNode(value)) return [value];
+  return findRecipeNodes(value["@graph"] || value.mainEntity || []);
+}
+
+function parseJsonLd(text) {
+  const document = JSON.parse(text);
+  const nodes = findRecipeNodes(document);
+  if (nodes.length > 0) return nodes.map(recipeFromJsonLd);
+
+  // Our own recipe objects, as stored
+  return [document]
+    .flat()
+    .filter((item) => item && typeof item.title === "string");
+}
+
+function parseHtml(text) {
+  const scripts = [
+    ...text.matchAll(
+      /<script[^>]*type=["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi
+    ),
+  ];
+  return scripts.flatMap(([, json]) => {
+    try {
+      return findRecipeNodes(JSON.parse(json)).map(recipeFromJsonLd);
+    } catch {
+      return [];
+    }
+  });
+}
+
+// List items of a Markdown section, with wrapped lines joined back on
+function readListItems(lines) {
+  const items = [];
+  lines.forEach((line) => {
+    const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+    if (item) {
+      items.push(item[1].trim());
+    } else if (line.trim() && items.length > 0) {
+      items[items.length - 1] += ` ${line.trim()}`;
+    }
+  });
+  return items.filter(Boolean);
+}
+
+// Paragraph text with Markdown emphasis taken off
+function plainText(lines) {
+  return lines
+    .join(" ")
+    .replace(/\*\*|__/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function parseMarkdownRecipe(block) {
+  const [heading, ...lines] = block.split("\n");
+  const recipe = { title: heading.replace(/^#\s+/, "").trim() };
+  const sections = {
+    intro: [],
+    ingredients: [],
+    instructions: [],
+    tips: [],
+    other: [], // sections we don't keep, such as "Equipment"
+  };
+  let current = "intro";
+
+  lines.forEach((line) => {
+    const subheading = line.match(/^#{2,6}\s+(.*)$/);
+    if (subheading) {
+      current =
+        MARKDOWN_SECTIONS.find(([, pattern]) =>
+          pattern.test(subheading[1])
+        )?.[0] || "other";
+      return;
+    }
+    sections[current].push(line);
+  });
+
+  // "**Prep:** 15 minutes · **Servings:** 4" lines fill in the details
+  const intro = sections.intro.filter((line) => {
+    const details = [
+      ...line.matchAll(/\*\*([^*:]+):\*\*\s*([^·|\n]*?)\s*(?=·|\||\*\*|$)/g),
+    ];
+    details.forEach(([, label, value]) => {
+      const field = MARKDOWN_FIELDS[label.trim().toLowerCase()];
+      if (field && value) recipe[field] = value;
+    });
+    return details.length === 0;
+  });
+
+  recipe.description = plainText(intro) || undefined;
+  recipe.category = recipe.category && matchCategory(recipe.category);
+  recipe.servings = recipe.servings && parseServings(recipe.servings);
+  recipe.ingredients = readListItems(sections.ingredients);
+  recipe.instructions = readListItems(sections.instructions);
+  recipe.tips = plainText(sections.tips) || undefined;
+  return recipe;
+}
+
+/**
+ * Recipes from Markdown, each starting at a "# Title" heading
+ */
+export function parseMarkdownRecipes(text) {
+  const blocks = [];
+  text
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .forEach((line) => {
+      if (/^#\s+/.test(line)) blocks.push([line]);
+      else if (blocks.length > 0 && !/^-{3,}\s*$/.test(line)) {
+        blocks[blocks.length - 1].push(line);
+      }
+    });
+  return blocks.map((lines) => parseMarkdownRecipe(lines.join("\n")));
+}
+
+/**
+ * Which format pasted or uploaded text is in
+ */
+export function detectRecipeFormat(text) {
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed)) return RECIPE_FORMATS.JSON_LD;
+  if (/<script[^>]*application\/ld\+json/i.test(trimmed)) {
+    return RECIPE_FORMATS.HTML;
+  }
+  return RECIPE_FORMATS.MARKDOWN;
+}
+
+/**
+ * Read recipes from JSON-LD, an HTML page carrying JSON-LD, or Markdown
+ * Each one is checked like a generated recipe. Returns { format, recipes,
+ * errors } where errors describe the recipes that were left out
+ */
+export function importRecipes(text) {
+  const format = detectRecipeFormat(text);
+  let candidates;
+  try {
+    candidates =
+      format === RECIPE_FORMATS.JSON_LD
+        ? parseJsonLd(text)
+        : format === RECIPE_FORMATS.HTML
+          ? parseHtml(text)
+          : parseMarkdownRecipes(text);
+  } catch (error) {
+    return {
+      format,
+      recipes: [],
+      errors: [`not valid JSON (${error.message})`],
+    };
+  }
+
+  if (candidates.length === 0) {
+    return { format, recipes: [], errors: ["no recipes found"] };
+  }
+
+  const recipes = [];
+  const errors = [];
+  candidates.forEach((candidate, index) => {
+    // Only the recipe fields, with missing ones left for the defaults
+    const recipe = Object.fromEntries(
+      Object.keys(RECIPE_SCHEMA.properties)
+        .filter((key) => candidate[key] !== undefined)
+        .map((key) => [key, candidate[key]])
+    );
+    const problems = checkRecipe(recipe);
+    if (problems.length > 0) {
+      errors.push(
+        `${recipe.title || `Recipe ${index + 1}`}: ${problems.join("; ")}`
+      );
+    } else {
+      recipes.push(recipe);
+    }
+  });
+
+  return { format, recipes, errors };
+}
@@ -0,0 +1,173 @@
+/**
+ * Recipe schema for Pantry Party
+ * The shape every generated recipe must have, as a JSON Schema that is also
+ * sent to providers supporting structured output, plus a validator that
+ * reports every problem with a response instead of just the first
+ */
+
+import { stripCodeFence } from "./partial-json.js";
+
+export const RECIPE_DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+export const RECIPE_CATEGORIES = [
+  "Main Dish",
+  "Appetizer",
+  "Dessert",
+  "Beverage",
+  "Snack",
+];
+
+const nonEmptyList = {
+  type: "array",
+  minItems: 1,
+  items: { type: "string", minLength: 1 },
+};
+
+export const RECIPE_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    difficulty: { type: "string", enum: RECIPE_DIFFICULTIES },
+    prepTime: { type: "string" },
+    cookTime: { type: "string" },
+    servings: { type: "integer", minimum: 1 },
+    ingredients: nonEmptyList,
+    instructions: nonEmptyList,
+    tips: { type: "string" },
+    category: { type: "string", enum: RECIPE_CATEGORIES },
+  },
+  required: [
+    "title",
+    "description",
+    "difficulty",
+    "prepTime",
+    "cookTime",
+    "servings",
+    "ingredients",
+    "instructions",
+    "tips",
+    "category",
+  ],
+  additionalProperties: false,
+};
+
+// Used when a response leaves out an optional field
+const RECIPE_DEFAULTS = {
+  description: "",
+  difficulty: "Medium",
+  prepTime: "30 minutes",
+  cookTime: "30 minutes",
+  servings: 4,
+  tips: "",
+  category: "Main Dish",
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Check a value against a (subset of) JSON Schema: type, enum, required,
+ * properties, items, minItems, minLength and minimum
+ * Returns a list of errors such as 'servings: expected integer, got string "4 people"'
+ */
+export function validateSchema(value, schema, path = "") {
+  const label = path || "recipe";
+
+  if (!matchesType(value, schema.type)) {
+    const actual = typeOf(value);
+    const shown =
+      actual === "object" || actual === "array"
+        ? ""
+        : ` ${JSON.stringify(value)}`;
+    return [`${label}: expected ${schema.type}, got ${actual}${shown}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${label}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`
+    );
+  }
+  if (
+    schema.minLength !== undefined &&
+    value.trim().length < schema.minLength
+  ) {
+    errors.push(`${label}: must not be empty`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${label}: must be at least ${schema.minimum}`);
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: must have at least ${schema.minItems} item(s)`);
+    }
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  if (schema.type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ""}${key}: is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] === undefined) return;
+      errors.push(
+        ...validateSchema(value[key], property, path ? `${path}.${key}` : key)
+      );
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a model response
+ * Optional fields that are missing get their defaults; anything else that
+ * doesn't match RECIPE_SCHEMA is reported
+ * Returns { recipe, errors }, where recipe is null if the JSON didn't parse
+ */
+export function parseRecipe(text) {
+  let recipe;
+  try {
+    recipe = JSON.parse(stripCodeFence(text));
+  } catch (error) {
+    return {
+      recipe: null,
+      errors: [`response is not valid JSON (${error.message})`],
+    };
+  }
+
+  return { recipe, errors: checkRecipe(recipe) };
+}
+
+/**
+ * Fill in the optional fields a recipe leaves out and validate it against
+ * RECIPE_SCHEMA, for recipes from a model or from an import
+ * Returns the list of errors; the recipe is changed in place
+ */
+export function checkRecipe(recipe) {
+  if (typeOf(recipe) === "object") {
+    Object.entries(RECIPE_DEFAULTS).forEach(([key, value]) => {
+      if (recipe[key] === undefined || recipe[key] === null) {
+        recipe[key] = value;
+      }
+    });
+  }
+
+  return validateSchema(recipe, RECIPE_SCHEMA);
+}
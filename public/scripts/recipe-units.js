@@ -0,0 +1,383 @@
+/**
+ * Serving scaling and unit conversion for Pantry Party
+ * Rewrites the quantities in free-text recipe lines ("1 1/2 cups flour",
+ * "2-3 cloves garlic", "bake at 350°F") for another number of servings and
+ * for metric or imperial units, using the ingredient parser's quantities
+ * and units
+ */
+
+import { normalizeUnit, parseQuantity } from "./ingredient-parser.js";
+
+export const UNIT_SYSTEMS = {
+  ORIGINAL: "original", // as the recipe was written
+  METRIC: "metric",
+  IMPERIAL: "imperial",
+};
+
+export const DEFAULT_UNIT_SYSTEM = UNIT_SYSTEMS.ORIGINAL;
+
+// Size of each convertible unit in milliliters or grams
+const VOLUMES = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  floz: 29.5735,
+  cup: 236.588,
+  pt: 473.176,
+  qt: 946.353,
+  gal: 3785.41,
+  ml: 1,
+  l: 1000,
+};
+
+const WEIGHTS = {
+  oz: 28.3495,
+  lb: 453.592,
+  g: 1,
+  kg: 1000,
+};
+
+const METRIC_UNITS = new Set(["ml", "l", "g", "kg"]);
+
+// Spoons are used the same way in both systems, so they stay spoons
+const IMPERIAL_UNITS = new Set([
+  "cup",
+  "pt",
+  "qt",
+  "gal",
+  "floz",
+  "oz",
+  "lb",
+]);
+
+const UNIT_NAMES = {
+  tsp: "tsp",
+  tbsp: "tbsp",
+  floz: "fl oz",
+  pt: "pint",
+  qt: "quart",
+  gal: "gallon",
+  ml: "ml",
+  l: "l",
+  oz: "oz",
+  lb: "lb",
+  g: "g",
+  kg: "kg",
+};
+
+// Abbreviations read the same for one or many
+const ABBREVIATIONS = new Set([
+  "t",
+  "c",
+  "g",
+  "l",
+  "gr",
+  "kg",
+  "ml",
+  "oz",
+  "lb",
+  "tsp",
+  "tbs",
+  "tbsp",
+  "pt",
+  "qt",
+  "gal",
+  "fl oz",
+]);
+
+const FRACTIONS = "¼½¾⅓⅔⅛";
+const NUMBER = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*[${FRACTIONS}]|\\d+(?:\\.\\d+)?)`;
+
+// "2", "1 1/2 cups", "2-3 cloves", "1 to 2 tbsp", "6 fl oz"
+// Groups: the amount, its first and last number, the word after it
+const AMOUNT_PATTERN = new RegExp(
+  `(?<![\\w/.])((${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?)(\\s*(fl\\.?\\s*oz|[a-zA-Z]+)(?!\\w))?`,
+  "g"
+);
+
+const DEGREES = "(?:°\\s*|[Dd]egrees?\\s+)";
+const SCALE = "(?:[CcFf]|[Cc]elsius|[Ff]ahrenheit)(?![a-zA-Z])";
+
+// "350°F", "180 °C", "200 degrees C", "400 degrees Fahrenheit", "180 C",
+// "350F", and the other scale in parentheses if the recipe already gives it
+// Groups: the degrees, the degree sign or word, the scale, the parentheses
+const TEMPERATURE_PATTERN = new RegExp(
+  `(?<![\\w.,/])(\\d+)\\s*(${DEGREES})?(${SCALE})(\\s*\\(\\s*\\d+\\s*${DEGREES}?${SCALE}\\s*\\))?`,
+  "g"
+);
+
+// Eighths and thirds, the fractions a measuring cup has
+const NICE_FRACTIONS = [
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [3 / 8, "3/8"],
+  [1 / 2, "1/2"],
+  [5 / 8, "5/8"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+  [7 / 8, "7/8"],
+];
+
+function parseUnit(word) {
+  if (!word) return null;
+  if (/^fl\.?\s*oz\.?$/i.test(word)) return "floz";
+  return normalizeUnit(word);
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
+
+/**
+ * Write a quantity the way a recipe would: fractions for cups and counts,
+ * round numbers for grams and milliliters
+ */
+export function formatAmount(value, unit = "") {
+  if (METRIC_UNITS.has(unit)) {
+    const rounded =
+      value >= 250
+        ? roundTo(value, 10)
+        : value >= 10
+          ? roundTo(value, 5)
+          : roundTo(value, 0.1);
+    return String(Number(rounded.toFixed(2)));
+  }
+
+  const whole = Math.floor(value);
+  const rest = value - whole;
+  const [fraction, text] = NICE_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - rest) < Math.abs(best[0] - rest) ? candidate : best
+  );
+
+  // Closer to a whole number than to any fraction
+  if (rest < fraction / 2) return String(whole || text);
+  if (1 - rest < Math.abs(fraction - rest)) return String(whole + 1);
+  return whole > 0 ? `${whole} ${text}` : text;
+}
+
+// The unit as written, made singular or plural to fit the new amount
+function unitWord(unit, plural, original) {
+  const word = original || UNIT_NAMES[unit] || unit;
+  if (ABBREVIATIONS.has(word.toLowerCase())) return word;
+
+  const ending = word.match(/(?:x|ch|sh)es$/i) ? 2 : 1;
+  const isPlural = /s$/i.test(word);
+  if (plural && !isPlural) {
+    return /(x|ch|sh)$/i.test(word) ? `${word}es` : `${word}s`;
+  }
+  if (!plural && isPlural) return word.slice(0, -ending);
+  return word;
+}
+
+/**
+ * An amount with its unit, e.g. "1 1/2 cups" or "3 cloves"
+ */
+export function formatMeasure(value, unit = "") {
+  const amount = formatAmount(value, unit);
+  if (!unit) return amount;
+
+  const plural = amount !== "1" && parseQuantity(amount) > 1;
+  return `${amount} ${unitWord(unit, plural)}`;
+}
+
+// Pick the unit of a system that reads best for an amount in ml or g
+function bestUnit(base, kind, system) {
+  if (system === UNIT_SYSTEMS.METRIC) {
+    if (kind === "volume") return base >= 1000 ? "l" : "ml";
+    return base >= 1000 ? "kg" : "g";
+  }
+  if (kind === "volume") {
+    if (base < VOLUMES.tbsp) return "tsp";
+    if (base < VOLUMES.cup / 4) return "tbsp";
+    return "cup";
+  }
+  return base >= WEIGHTS.lb ? "lb" : "oz";
+}
+
+/**
+ * The unit an amount should be shown in, and the factor from the old unit
+ */
+function targetUnit(unit, values, system, rescaled) {
+  const kind = VOLUMES[unit] ? "volume" : WEIGHTS[unit] ? "weight" : null;
+  if (!kind) return { unit, factor: 1 };
+
+  const sizes = kind === "volume" ? VOLUMES : WEIGHTS;
+  const isMetric = METRIC_UNITS.has(unit);
+  const converts =
+    (system === UNIT_SYSTEMS.METRIC && IMPERIAL_UNITS.has(unit)) ||
+    (system === UNIT_SYSTEMS.IMPERIAL && isMetric);
+  // A scaled amount may read better in another unit ("3/4 tsp", "375 g")
+  const tidies =
+    rescaled && (isMetric || ["tsp", "tbsp", "cup"].includes(unit));
+  if (!converts && !tidies) return { unit, factor: 1 };
+
+  // The smaller end of a range decides, so "2-4 tbsp" stays in spoons
+  const base = Math.min(...values) * sizes[unit];
+  const targetSystem = converts
+    ? system
+    : isMetric
+      ? UNIT_SYSTEMS.METRIC
+      : UNIT_SYSTEMS.IMPERIAL;
+  const target = bestUnit(base, kind, targetSystem);
+  return { unit: target, factor: sizes[unit] / sizes[target] };
+}
+
+/**
+ * Rewrite one amount, such as "2-3 cups", scaled and in the chosen system
+ */
+function rewriteAmount(parts, scale, system) {
+  const { match, amountText, from, to, trailing, word } = parts;
+  const unit = parseUnit(word);
+  const values = [from, to].filter(Boolean).map(parseQuantity);
+  const scaled = values.map((value) => value * scale);
+  const target = targetUnit(unit, scaled, system, scale !== 1);
+
+  if (scale === 1 && target.unit === unit) return match;
+
+  const amounts = scaled.map((value) =>
+    formatAmount(value * target.factor, target.unit)
+  );
+  const joiner =
+    amountText.includes(" to ") || amounts.some((text) => text.includes(" "))
+      ? " to "
+      : "-";
+  const amount = amounts.join(joiner);
+
+  // A word after the number that isn't a unit belongs to the ingredient
+  if (!unit) return `${amount}${trailing || ""}`;
+
+  const largest = amounts[amounts.length - 1];
+  const plural = largest !== "1" && parseQuantity(largest) > 1;
+  const original = target.unit === unit ? word : null;
+  return `${amount} ${unitWord(target.unit, plural, original)}`;
+}
+
+/**
+ * Whether a match of TEMPERATURE_PATTERN is a temperature
+ * A lone "C" or "F" only counts in instructions, and only as a capital: an
+ * ingredient line's "2 C flour" and an instruction's "add 2 c stock" are cups
+ */
+function isTemperature(sign, scale, bare) {
+  return Boolean(sign) || scale.length > 1 || (bare && /^[CF]$/.test(scale));
+}
+
+// Where the temperatures in a line start and end
+function temperatureSpans(text, bare) {
+  return [...text.matchAll(TEMPERATURE_PATTERN)]
+    .filter((match) => isTemperature(match[2], match[3], bare))
+    .map((match) => [match.index, match.index + match[0].length]);
+}
+
+// Every amount in a line that isn't a temperature, with whether it is inside
+// parentheses
+function rewriteAmounts(text, rewrite, bare = false) {
+  const temperatures = temperatureSpans(text, bare);
+
+  return text.replace(
+    AMOUNT_PATTERN,
+    (match, amountText, from, to, trailing, word, offset) => {
+      const inTemperature = temperatures.some(
+        ([start, end]) => offset >= start && offset < end
+      );
+      if (inTemperature) return match;
+
+      const before = text.slice(0, offset);
+      const inParentheses =
+        (before.match(/\(/g) || []).length >
+        (before.match(/\)/g) || []).length;
+      return rewrite(
+        { match, amountText, from, to, trailing, word },
+        inParentheses
+      );
+    }
+  );
+}
+
+// Temperatures are converted but never scaled; a recipe that already gives
+// both scales ("200°C (400°F)") is left as written
+function convertTemperatures(text, system, bare = false) {
+  if (system === UNIT_SYSTEMS.ORIGINAL) return text;
+
+  return text.replace(
+    TEMPERATURE_PATTERN,
+    (match, degrees, sign, scale, both) => {
+      if (both || !isTemperature(sign, scale, bare)) return match;
+
+      const isCelsius = scale[0].toUpperCase() === "C";
+      if (system === UNIT_SYSTEMS.METRIC && !isCelsius) {
+        return `${roundTo(((degrees - 32) * 5) / 9, 5)}°C`;
+      }
+      if (system === UNIT_SYSTEMS.IMPERIAL && isCelsius) {
+        return `${roundTo((degrees * 9) / 5 + 32, 5)}°F`;
+      }
+      return match;
+    }
+  );
+}
+
+/**
+ * Rescale an ingredient line and convert its units
+ * Only the ingredient's own amount is scaled; a package size in parentheses
+ * ("1 (14 oz) can tomatoes") is only converted
+ */
+export function adaptIngredientLine(
+  line,
+  scale = 1,
+  system = DEFAULT_UNIT_SYSTEM
+) {
+  let scaledOne = false;
+
+  const converted = convertTemperatures(line, system);
+  return rewriteAmounts(converted, (parts, inParentheses) => {
+    const scalesThis = !scaledOne && !inParentheses;
+    if (scalesThis) scaledOne = true;
+    return rewriteAmount(parts, scalesThis ? scale : 1, system);
+  });
+}
+
+/**
+ * Rescale the measured amounts in an instruction ("stir in 2 cups of stock")
+ * and convert its units and temperatures
+ * Bare numbers such as times and step counts are left alone
+ */
+export function adaptInstruction(
+  text,
+  scale = 1,
+  system = DEFAULT_UNIT_SYSTEM
+) {
+  const converted = convertTemperatures(text, system, true);
+
+  return rewriteAmounts(
+    converted,
+    (parts) => {
+      const unit = parseUnit(parts.word);
+      const measured = Boolean(VOLUMES[unit] || WEIGHTS[unit]);
+      return measured ? rewriteAmount(parts, scale, system) : parts.match;
+    },
+    true
+  );
+}
+
+/**
+ * A recipe for another number of servings, in the chosen unit system
+ * Returns a copy with the servings, ingredients and instructions rewritten
+ * and the scale used
+ */
+export function adaptRecipe(
+  recipe,
+  { servings = recipe.servings, system = DEFAULT_UNIT_SYSTEM } = {}
+) {
+  const scale = recipe.servings > 0 ? servings / recipe.servings : 1;
+
+  return {
+    ...recipe,
+    servings,
+    scale,
+    ingredients: recipe.ingredients.map((line) =>
+      adaptIngredientLine(line, scale, system)
+    ),
+    instructions: recipe.instructions.map((step) =>
+      adaptInstruction(step, scale, system)
+    ),
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Scaling and converting recipe lines, and the temperatures in them
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  UNIT_SYSTEMS,
+  adaptIngredientLine,
+  adaptInstruction,
+} from "./recipe-units.js";
+
+const { ORIGINAL, METRIC, IMPERIAL } = UNIT_SYSTEMS;
+
+test("a bare C or F in an instruction is a temperature, not cups", () => {
+  assert.equal(
+    adaptInstruction("Preheat oven to 180 C", 2, METRIC),
+    "Preheat oven to 180 C"
+  );
+  assert.equal(adaptInstruction("Heat to 180C", 1, IMPERIAL), "Heat to 355°F");
+  assert.equal(adaptInstruction("Bake at 350 F", 1, METRIC), "Bake at 175°C");
+});
+
+test("temperatures are never scaled", () => {
+  assert.equal(
+    adaptInstruction("Bake at 200 C for 20 minutes", 2, ORIGINAL),
+    "Bake at 200 C for 20 minutes"
+  );
+  assert.equal(
+    adaptIngredientLine("1 cup water at 110°F", 2, METRIC),
+    "470 ml water at 45°C"
+  );
+});
+
+test("a temperature already given in both scales is left alone", () => {
+  const step = "Bake at 200°C (400°F) until golden";
+  assert.equal(adaptInstruction(step, 1, METRIC), step);
+  assert.equal(adaptInstruction(step, 1, IMPERIAL), step);
+});
+
+test("a lowercase c and a C in an ingredient line are still cups", () => {
+  assert.equal(adaptInstruction("Add 2 c stock", 2, ORIGINAL), "Add 4 c stock");
+  assert.equal(adaptIngredientLine("2 C flour", 1, METRIC), "470 ml flour");
+});
+
+test("pints, quarts and gallons convert and scale", () => {
+  assert.equal(adaptIngredientLine("1 gallon water", 1, METRIC), "3.8 l water");
+  assert.equal(
+    adaptIngredientLine("1 pint cream", 2, ORIGINAL),
+    "2 pints cream"
+  );
+  assert.equal(
+    adaptInstruction("Pour in 1 quart milk", 2, METRIC),
+    "Pour in 1.9 l milk"
+  );
+});
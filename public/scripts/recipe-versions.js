@@ -0,0 +1,97 @@
+/**
+ * Recipe versions for Pantry Party
+ * Refining a recipe ("make it spicier") adds a revision instead of replacing
+ * it. Every revision points at the version it was made from (parentId) and at
+ * the original recipe (rootId); the original records which version the
+ * session votes on (selectedVersionId)
+ */
+
+/**
+ * Id of the original recipe a version belongs to
+ */
+export function getRootId(recipe) {
+  return recipe.rootId || recipe.id;
+}
+
+/**
+ * Every version of a recipe, oldest first
+ */
+export function getRecipeVersions(recipes, rootId) {
+  return recipes
+    .filter((recipe) => getRootId(recipe) === rootId)
+    .sort((a, b) => (a.revision || 0) - (b.revision || 0));
+}
+
+/**
+ * Recipes grouped by original, with the version the session votes on
+ * Returns [{ root, versions, selected }]; a family whose original was deleted
+ * is headed by its oldest remaining version
+ */
+export function groupRecipeVersions(recipes) {
+  const rootIds = [...new Set(recipes.map(getRootId))];
+
+  return rootIds.map((rootId) => {
+    const versions = getRecipeVersions(recipes, rootId);
+    const root = versions.find((r) => r.id === rootId) || versions[0];
+    const selected =
+      versions.find((r) => r.id === root.selectedVersionId) || root;
+    return { root, versions, selected };
+  });
+}
+
+/**
+ * The fields that turn a refined recipe into a revision of parent
+ */
+export function buildRevision(parent, recipe, { instruction, versions }) {
+  return {
+    ...recipe,
+    parentId: parent.id,
+    rootId: getRootId(parent),
+    revision: Math.max(...versions.map((r) => r.revision || 0)) + 1,
+    instruction,
+  };
+}
+
+/**
+ * Label of a version, "v1" for the original
+ */
+export function versionLabel(recipe) {
+  return `v${(parseInt(recipe.revision, 10) || 0) + 1}`;
+}
+
+const COMPARED_FIELDS = [
+  ["title", "Title"],
+  ["servings", "Servings"],
+  ["prepTime", "Prep time"],
+  ["cookTime", "Cook time"],
+  ["difficulty", "Difficulty"],
+  ["category", "Category"],
+];
+
+function normalizeLine(line) {
+  return line.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function compareLists(before = [], after = []) {
+  const beforeLines = new Set(before.map(normalizeLine));
+  const afterLines = new Set(after.map(normalizeLine));
+  return {
+    added: after.filter((line) => !beforeLines.has(normalizeLine(line))),
+    removed: before.filter((line) => !afterLines.has(normalizeLine(line))),
+  };
+}
+
+/**
+ * What changed from one version to another
+ * Returns { fields: [{ label, from, to }], ingredients: { added, removed },
+ * instructions: { added, removed } }
+ */
+export function compareRecipes(before, after) {
+  return {
+    fields: COMPARED_FIELDS.filter(
+      ([key]) => String(before[key]) !== String(after[key])
+    ).map(([key, label]) => ({ label, from: before[key], to: after[key] })),
+    ingredients: compareLists(before.ingredients, after.ingredients),
+    instructions: compareLists(before.instructions, after.instructions),
+  };
+}
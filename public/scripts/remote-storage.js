@@ -0,0 +1,231 @@
+/**
+ * HTTP storage adapter for Pantry Party
+ * Keeps a local copy for synchronous reads and sends each local session event
+ * to the server (/api/sessions/:code/events), which checks and applies it as
+ * the session server would, so a session can be used without a live
+ * WebSocket connection. The server's answer, and its state polled every few
+ * seconds, bring in everyone else's changes
+ */
+
+import {
+  LocalStorageAdapter,
+  SHARED_STATE_FIELDS,
+  SHARED_STORAGE_KEYS,
+  importSessionState,
+  withStorageAdapter,
+} from "./storage.js";
+
+const POLL_INTERVAL = 5000;
+const RETRY_DELAY = 5000;
+
+export class HttpStorageAdapter {
+  constructor(
+    sessionCode,
+    { cache = new LocalStorageAdapter({ namespace: sessionCode }) } = {}
+  ) {
+    this.sessionCode = sessionCode;
+    this.cache = cache;
+    this.token = null;
+    this.pending = [];
+    this.sending = false;
+    this.offline = false;
+    this.watcher = null;
+    this.pollTimer = null;
+    this.retryTimer = null;
+    this.baseUrl = `/api/sessions/${encodeURIComponent(sessionCode)}`;
+  }
+
+  /**
+   * Load the session's shared state from the server into the local copy
+   * Resolves to false if the server doesn't know the session
+   */
+  async load() {
+    const response = await fetch(this.baseUrl);
+    if (response.status === 404) return false;
+    if (!response.ok) {
+      throw new Error(`Failed to load session: ${response.status}`);
+    }
+
+    // The state is exportSessionState() on the server
+    const state = await response.json();
+    SHARED_STORAGE_KEYS.forEach((key) => {
+      this.cache.set(key, state[SHARED_STATE_FIELDS[key]] ?? null);
+    });
+    return true;
+  }
+
+  /**
+   * Join the session as user, or come back to it with the token from last
+   * time. Writes are signed with the token the server returns, which is
+   * also resolved for the caller to keep. Resolves to null if the server
+   * doesn't know the session
+   */
+  async join(user, token = null) {
+    const response = await fetch(`${this.baseUrl}/join`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        user: {
+          id: user.id,
+          name: user.name,
+          dietaryProfile: user.dietaryProfile,
+        },
+        token,
+      }),
+    });
+    if (response.status === 404) return null;
+
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || `Failed to join: ${response.status}`);
+    }
+    this.token = body.token;
+    return this.token;
+  }
+
+  /**
+   * Send a local session event to the server without blocking the caller;
+   * the session event transport while this adapter is in use
+   */
+  sendEvent(event) {
+    this.pending.push(event);
+    this.flush();
+  }
+
+  /**
+   * Send the waiting events one at a time, in the order they were made
+   * The server answers each with the session as it now stands, which
+   * replaces the local copy once nothing else is on its way. Events that
+   * don't reach the server are tried again
+   */
+  async flush() {
+    if (this.sending) return;
+    this.sending = true;
+
+    try {
+      while (this.pending.length > 0) {
+        const answer = await this.post(this.pending[0]);
+        if (!answer) {
+          this.retryTimer = setTimeout(() => this.flush(), RETRY_DELAY);
+          return;
+        }
+
+        this.pending.shift();
+        // e.g. a host-only change from someone who isn't the host
+        if (answer.error) window.showError?.(answer.error);
+        if (this.pending.length === 0) this.receive(answer.state);
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * POST one event, resolves to { state } or { error, state }, or null if
+   * the server couldn't be reached
+   */
+  async post(event) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/events`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${this.token}`,
+        },
+        body: JSON.stringify({ event }),
+      });
+    } catch (error) {
+      if (!this.offline) {
+        window.showError?.(
+          "Can't reach the server, your changes will be sent when it's back"
+        );
+      }
+      this.offline = true;
+      return null;
+    }
+    this.offline = false;
+
+    const body = await response.json().catch(() => ({}));
+    // A refused event comes back with the state to go back in step with
+    if (response.ok || body.state) return body;
+    return {
+      error: body.error || `Failed to send ${event.type}: ${response.status}`,
+      state: null,
+    };
+  }
+
+  /**
+   * Take on the session as the server has it
+   */
+  receive(state) {
+    if (!state?.session) return;
+
+    withStorageAdapter(this, () => importSessionState(state));
+    this.watcher?.onState(state);
+  }
+
+  /**
+   * Check the server for everyone else's changes every few seconds
+   * onState is called after the local copy takes on the server's state,
+   * onEnd once the session is gone from the server
+   */
+  watch({ onState, onEnd }) {
+    this.stop();
+    this.watcher = { onState, onEnd };
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL);
+  }
+
+  /**
+   * Stop checking the server and drop the events still waiting to be sent
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearTimeout(this.retryTimer);
+    this.pollTimer = null;
+    this.retryTimer = null;
+    this.watcher = null;
+    this.pending = [];
+  }
+
+  async poll() {
+    // Our own events bring the server's state back with them
+    if (this.sending || this.pending.length > 0) return;
+
+    let response;
+    try {
+      response = await fetch(this.baseUrl);
+    } catch (error) {
+      return;
+    }
+
+    if (response.status === 404) {
+      const onEnd = this.watcher?.onEnd;
+      this.stop();
+      onEnd?.();
+      return;
+    }
+    if (!response.ok) return;
+
+    const state = await response.json();
+    if (!this.sending && this.pending.length === 0) this.receive(state);
+  }
+
+  get(key) {
+    return this.cache.get(key);
+  }
+
+  // Writes, removals and clearing only affect this browser's copy; the
+  // server hears about changes through sendEvent()
+  set(key, value) {
+    this.cache.set(key, value);
+  }
+
+  remove(key) {
+    this.cache.remove(key);
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
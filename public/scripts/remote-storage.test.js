@@ -0,0 +1,212 @@
+/**
+ * Loading a session over HTTP gives the same shared state the server has, and
+ * sending events over HTTP keeps the local copy in step with it
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { HttpStorageAdapter } from "./remote-storage.js";
+import {
+  LocalStorageAdapter,
+  SESSION_EVENTS,
+  SessionStorage,
+  ContextStorage,
+  applySessionEvent,
+  exportSessionState,
+  withStorageAdapter,
+} from "./storage.js";
+
+function event(type, payload, clock) {
+  return { type, payload, stamp: { clock, replica: "host" } };
+}
+
+/**
+ * The state GET /api/sessions/:code answers with after the events
+ */
+function roomState(events) {
+  const room = new LocalStorageAdapter({ memoryOnly: true });
+  return withStorageAdapter(room, () => {
+    events.forEach((e) => applySessionEvent(e));
+    return exportSessionState();
+  });
+}
+
+/**
+ * The state a participant has after loading the room over HTTP
+ */
+async function loadOverHttp(state) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => ({
+    ok: true,
+    status: 200,
+    json: async () => JSON.parse(JSON.stringify(state)),
+  });
+
+  try {
+    const adapter = new HttpStorageAdapter("ABC123", {
+      cache: new LocalStorageAdapter({ memoryOnly: true }),
+    });
+    assert.equal(await adapter.load(), true);
+    return withStorageAdapter(adapter, () => exportSessionState());
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+const shoppingList = {
+  id: "list1",
+  recipeIds: ["r1"],
+  fromPlan: false,
+  createdBy: "Alice",
+  createdAt: 1760000000000,
+  checked: {},
+};
+
+test("the shopping list survives loading over HTTP", async () => {
+  const state = roomState([
+    event(SESSION_EVENTS.CONTEXT_SET, { context: "Taco night" }, 1),
+    event(SESSION_EVENTS.SHOPPING_LIST_SET, { list: shoppingList }, 2),
+    event(
+      SESSION_EVENTS.SHOPPING_ITEM_CHECK,
+      { listId: "list1", itemKey: "tortilla", checked: true },
+      3
+    ),
+  ]);
+  assert.equal(state.shoppingList.id, "list1");
+
+  assert.deepEqual(await loadOverHttp(state), state);
+});
+
+test("the meal plan survives loading over HTTP", async () => {
+  const state = roomState([
+    event(
+      SESSION_EVENTS.MEAL_PLAN_UPDATE,
+      { updates: { startDate: "2026-10-19", days: 7 } },
+      1
+    ),
+    event(
+      SESSION_EVENTS.MEAL_SLOT_SET,
+      {
+        slot: "2026-10-20/dinner",
+        entry: { recipeId: "r1", assignedBy: "Alice", cookedAt: null },
+      },
+      2
+    ),
+  ]);
+  assert.equal(state.mealPlan.slots["2026-10-20/dinner"].recipeId, "r1");
+
+  const loaded = await loadOverHttp(state);
+  assert.deepEqual(loaded.mealPlan, state.mealPlan);
+  assert.deepEqual(loaded.sync, state.sync);
+});
+
+/**
+ * An adapter whose POSTs get the answers given, in turn; an answer that is
+ * an Error is a request that never reached the server
+ */
+function adapterAnswering(answers) {
+  const posted = [];
+  const errors = [];
+  globalThis.window = { showError: (message) => errors.push(message) };
+  globalThis.fetch = async (url, { body }) => {
+    posted.push(JSON.parse(body).event.type);
+    const answer = answers.shift();
+    if (answer instanceof Error) throw answer;
+    return {
+      ok: answer.status === 200,
+      status: answer.status,
+      json: async () => JSON.parse(JSON.stringify(answer.body)),
+    };
+  };
+
+  const adapter = new HttpStorageAdapter("ABC123", {
+    cache: new LocalStorageAdapter({ memoryOnly: true }),
+  });
+  adapter.token = "token";
+  return { adapter, posted, errors };
+}
+
+async function sent(adapter) {
+  while (adapter.sending) await new Promise((r) => setTimeout(r, 0));
+}
+
+const sessionState = (context) =>
+  roomState([
+    event(
+      SESSION_EVENTS.SESSION_UPDATE,
+      { updates: { id: "ABC123", hostId: "host" } },
+      1
+    ),
+    event(SESSION_EVENTS.CONTEXT_SET, { context }, 2),
+  ]);
+
+test("the server's answer replaces the local copy", async (t) => {
+  const realFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    delete globalThis.window;
+  });
+
+  const { adapter, posted } = adapterAnswering([
+    { status: 200, body: { state: sessionState("Taco night") } },
+    { status: 200, body: { state: sessionState("Taco night, no beans") } },
+  ]);
+  const context = (text) =>
+    event(SESSION_EVENTS.CONTEXT_SET, { context: text }, 5);
+  adapter.sendEvent(context("Taco night"));
+  adapter.sendEvent(context("Taco night, no beans"));
+  await sent(adapter);
+
+  assert.deepEqual(posted, [
+    SESSION_EVENTS.CONTEXT_SET,
+    SESSION_EVENTS.CONTEXT_SET,
+  ]);
+  withStorageAdapter(adapter, () => {
+    assert.equal(ContextStorage.get(), "Taco night, no beans");
+    assert.equal(SessionStorage.get().id, "ABC123");
+  });
+});
+
+test("a refused event puts the local copy back", async (t) => {
+  const realFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    delete globalThis.window;
+  });
+
+  const { adapter, errors } = adapterAnswering([
+    {
+      status: 403,
+      body: { error: "Only the host can do that", state: sessionState("") },
+    },
+  ]);
+  withStorageAdapter(adapter, () => ContextStorage.set("Not yours"));
+  adapter.sendEvent(event(SESSION_EVENTS.CONTEXT_SET, { context: "x" }, 5));
+  await sent(adapter);
+
+  assert.deepEqual(errors, ["Only the host can do that"]);
+  withStorageAdapter(adapter, () => assert.equal(ContextStorage.get(), ""));
+});
+
+test("events that don't reach the server are sent again", async (t) => {
+  const realFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    delete globalThis.window;
+  });
+
+  const { adapter, posted, errors } = adapterAnswering([
+    new TypeError("Failed to fetch"),
+    { status: 200, body: { state: sessionState("Taco night") } },
+  ]);
+  adapter.sendEvent(event(SESSION_EVENTS.CONTEXT_SET, { context: "x" }, 5));
+  await sent(adapter);
+  assert.equal(adapter.pending.length, 1);
+  assert.equal(errors.length, 1);
+
+  // Rather than wait for the retry
+  clearTimeout(adapter.retryTimer);
+  await adapter.flush();
+  assert.equal(adapter.pending.length, 0);
+  assert.equal(posted.length, 2);
+});
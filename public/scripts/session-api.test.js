@@ -0,0 +1,159 @@
+/**
+ * Changes made over the HTTP session API go through the same checks as the
+ * ones sent over the WebSocket
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  SESSION_EVENTS,
+  SessionStorage,
+  withStorageAdapter,
+} from "./storage.js";
+
+// The server keeps its files in a directory of its own
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "pantry-party-"));
+process.env.PANTRY_PARTY_DATA_DIR = dataDir;
+
+let code = null;
+let hostToken = null;
+let store = null;
+let events = null;
+let join = null;
+
+before(async () => {
+  const { issueSession, signParticipantToken } = await import(
+    "../../src/server/identity.js"
+  );
+  const { FileStorageAdapter } = await import(
+    "../../src/server/file-storage.js"
+  );
+  events = await import("../../src/pages/api/sessions/[code]/events.js");
+  join = await import("../../src/pages/api/sessions/[code]/join.js");
+
+  let hostSecret;
+  ({ code, hostSecret } = issueSession("host"));
+  hostToken = signParticipantToken(code, "host");
+  store = new FileStorageAdapter(code);
+  withStorageAdapter(store, () =>
+    SessionStorage.create(code, "host", "Host", hostSecret)
+  );
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+async function call(route, body, token = null) {
+  const response = await route.POST({
+    params: { code },
+    request: new Request(`http://localhost/api/sessions/${code}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(body),
+    }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function joinAs(id) {
+  const { body } = await call(join, { user: { id, name: id } });
+  return body.token;
+}
+
+function send(token, type, payload, stamp = { clock: 1, replica: "x" }) {
+  return call(events, { event: { type, payload, stamp } }, token);
+}
+
+test("an event needs the token from joining", async () => {
+  const { status } = await send(null, SESSION_EVENTS.CONTEXT_SET, {
+    context: "Taco night",
+  });
+  assert.equal(status, 401);
+});
+
+test("a participant can only act as themselves", async () => {
+  const token = await joinAs("bob");
+
+  const vote = await send(token, SESSION_EVENTS.VOTE_CAST, {
+    recipeId: "r1",
+    userId: "host",
+    voteType: "up",
+  });
+  assert.equal(vote.status, 403);
+  assert.equal(vote.body.error, "You can only act as yourself");
+  assert.deepEqual(vote.body.state.votes, {});
+
+  const update = await send(token, SESSION_EVENTS.SESSION_UPDATE, {
+    updates: { id: "HACKED", createdAt: 0 },
+  });
+  assert.equal(update.status, 403);
+  assert.equal(update.body.state.session.id, code);
+});
+
+test("the session's clock stamps the events it accepts", async () => {
+  const token = await joinAs("carol");
+
+  const { status, body } = await send(
+    token,
+    SESSION_EVENTS.CONTEXT_SET,
+    { context: "Taco night" },
+    { clock: Number.MAX_SAFE_INTEGER, replica: "zzz" }
+  );
+  assert.equal(status, 200);
+  assert.equal(body.state.context, "Taco night");
+  assert.ok(body.state.sync.clock < 100);
+});
+
+test("the host's generation limits hold over HTTP", async () => {
+  const token = await joinAs("dave");
+  withStorageAdapter(store, () =>
+    SessionStorage.update({ generationLimit: 1 })
+  );
+
+  const request = (id) =>
+    send(token, SESSION_EVENTS.GENERATION_REQUEST, {
+      generation: { id, userId: "dave", mode: "own", status: "running" },
+    });
+  assert.equal((await request("g1")).status, 200);
+  const second = await request("g2");
+  assert.equal(second.status, 403);
+  assert.equal(
+    second.body.error,
+    "You've used all 1 of your recipe generations"
+  );
+
+  const recipe = { id: "r1", title: "Tacos", model: "gpt-4o-mini" };
+  const direct = await send(token, SESSION_EVENTS.RECIPE_ADD, { recipe });
+  assert.equal(direct.status, 403);
+  assert.deepEqual(direct.body.state.recipes, []);
+
+  const answer = await send(token, SESSION_EVENTS.RECIPE_ADD, {
+    recipe: { ...recipe, generationId: "g1" },
+  });
+  assert.equal(answer.status, 200);
+  const generation = answer.body.state.generations.find((g) => g.id === "g1");
+  assert.equal(generation.recipeId, "r1");
+});
+
+test("a participant the host removed can't act or come back", async () => {
+  const token = await joinAs("erin");
+  const removal = await send(hostToken, SESSION_EVENTS.PARTICIPANT_LEAVE, {
+    participantId: "erin",
+  });
+  assert.equal(removal.status, 200);
+
+  const context = await send(token, SESSION_EVENTS.CONTEXT_SET, {
+    context: "Erin's party",
+  });
+  assert.equal(context.status, 403);
+  assert.equal(context.body.error, "You are not in this session");
+
+  const rejoin = await call(join, { user: { id: "erin" }, token });
+  assert.equal(rejoin.status, 403);
+  assert.equal(rejoin.body.error, "The host removed you from this session");
+});
@@ -0,0 +1,156 @@
+/**
+ * Session snapshots for Pantry Party
+ * A whole session (participants, pantry, blacklist, context, recipes, votes
+ * and the rest of its shared state) as one versioned JSON file, to keep or
+ * move and restore later. Older versions are migrated step by step on import
+ */
+
+import {
+  exportSessionState,
+  importSessionState,
+  IdentityStorage,
+  SessionHistoryStorage,
+  UserStorage,
+  withSessionStorage,
+} from "./storage.js";
+import { normalizeIngredientDetails } from "./ingredients.js";
+import { DEFAULT_GENERATION_POLICY } from "./generation-policy.js";
+import { registerSession } from "./realtime.js";
+
+export const SNAPSHOT_FORMAT = "pantry-party-session";
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * Upgrades from each version to the next
+ * Version 1 held the plain lists only, from before sessions had merge
+ * metadata, generation limits and ingredient details; the metadata is
+ * rebuilt from the lists when the snapshot is restored
+ */
+const MIGRATIONS = {
+  1: ({ format, version, exportedAt, user, ...state }) => ({
+    format,
+    version: 2,
+    exportedAt,
+    user: user || null,
+    state: {
+      ...state,
+      session: state.session && {
+        ...DEFAULT_GENERATION_POLICY,
+        ...state.session,
+      },
+      ingredients: (state.ingredients || []).map((ingredient) => ({
+        ...ingredient,
+        ...normalizeIngredientDetails(ingredient),
+      })),
+      sync: null,
+    },
+  }),
+};
+
+/**
+ * The current session as a snapshot
+ * It includes this user's host secret and token, so whoever has the file
+ * can open or rejoin the session as them
+ */
+export function createSessionSnapshot() {
+  const user = UserStorage.get();
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: user && {
+      id: user.id,
+      name: user.name,
+      dietaryProfile: user.dietaryProfile,
+      unitSystem: user.unitSystem,
+    },
+    identity: IdentityStorage.get(),
+    state: exportSessionState(),
+  };
+}
+
+/**
+ * "pantry-party-ABC123-2026-10-19.json"
+ */
+export function snapshotFileName(snapshot) {
+  const code = snapshot.state.session?.id || "session";
+  return `pantry-party-${code}-${snapshot.exportedAt.slice(0, 10)}.json`;
+}
+
+/**
+ * Bring a snapshot of any version up to the current one
+ * Snapshots without a version are taken to be version 1. Throws if the file
+ * isn't a snapshot, its version isn't a whole number from 1 up, or it comes
+ * from a newer version of the app
+ */
+export function migrateSessionSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== "object") {
+    throw new Error("The file is not a Pantry Party session");
+  }
+  if (snapshot.format && snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error("The file is not a Pantry Party session");
+  }
+
+  let migrated = { format: SNAPSHOT_FORMAT, version: 1, ...snapshot };
+  const { version } = migrated;
+  if (Number.isInteger(version) && version > SNAPSHOT_VERSION) {
+    throw new Error(
+      `The session was saved by a newer version of Pantry Party (snapshot version ${version})`
+    );
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(
+      `The file has an unknown snapshot version (${JSON.stringify(version)})`
+    );
+  }
+  while (migrated.version < SNAPSHOT_VERSION) {
+    migrated = MIGRATIONS[migrated.version](migrated);
+  }
+
+  if (!migrated.state?.session?.id) {
+    throw new Error("The session in the file has no code");
+  }
+  return migrated;
+}
+
+/**
+ * Restore a snapshot under its session code, replacing what this browser
+ * has for that session, and add it to the history
+ * Whoever saved it is the user again; a file without one restores as the
+ * host. Resolves to { code, isHost }
+ */
+export async function restoreSessionSnapshot(snapshot) {
+  const { user, identity, state } = migrateSessionSnapshot(snapshot);
+  const session = { ...state.session, lastActivity: Date.now() };
+  const restoredUser = user || {
+    id: session.hostId,
+    name: session.hostName,
+    createdAt: Date.now(),
+  };
+  const isHost = restoredUser.id === session.hostId;
+
+  // Files from before host secrets ask the server for one, which it only
+  // gives if nobody holds the session's code. Without it the session can
+  // still be used here, just not opened to others
+  let restoredIdentity = identity;
+  if (!restoredIdentity) {
+    let hostSecret = null;
+    if (isHost) {
+      try {
+        ({ hostSecret } = await registerSession(restoredUser.id, session.id));
+      } catch (error) {
+        console.warn(`No host secret for ${session.id}:`, error.message);
+      }
+    }
+    restoredIdentity = { hostSecret, token: null };
+  }
+
+  withSessionStorage(session.id, () => {
+    importSessionState({ ...state, session });
+    UserStorage.set(restoredUser);
+    IdentityStorage.set(restoredIdentity);
+    SessionHistoryStorage.record();
+  });
+
+  return { code: session.id, isHost };
+}
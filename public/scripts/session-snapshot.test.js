@@ -0,0 +1,46 @@
+/**
+ * Snapshot versions: old ones migrate, anything else is refused clearly
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  migrateSessionSnapshot,
+} from "./session-snapshot.js";
+
+const session = { id: "ABC123", hostId: "u1", hostName: "Alice" };
+
+test("a snapshot without a version migrates from version 1", () => {
+  const migrated = migrateSessionSnapshot({
+    format: SNAPSHOT_FORMAT,
+    session,
+    ingredients: [{ id: "i1", name: "eggs" }],
+  });
+
+  assert.equal(migrated.version, SNAPSHOT_VERSION);
+  assert.equal(migrated.state.session.id, "ABC123");
+  assert.equal(migrated.state.ingredients[0].name, "eggs");
+});
+
+test("a version that isn't a whole number from 1 up is refused", () => {
+  ["2", 0, -1, 1.5, null, {}].forEach((version) => {
+    assert.throws(
+      () => migrateSessionSnapshot({ version, state: { session } }),
+      /unknown snapshot version/,
+      JSON.stringify(version)
+    );
+  });
+});
+
+test("a version from a newer app is refused", () => {
+  assert.throws(
+    () =>
+      migrateSessionSnapshot({
+        version: SNAPSHOT_VERSION + 1,
+        state: { session },
+      }),
+    /newer version of Pantry Party/
+  );
+});
@@ -0,0 +1,311 @@
+/**
+ * Shopping list for Pantry Party
+ * Merges the ingredients of the recipes the session picked into one list,
+ * sums quantities where the units agree, takes off what the pantry already
+ * has and groups the rest by store section
+ */
+
+import { lookupIngredient } from "./ingredient-dictionary.js";
+import { normalizeUnit, splitQuantity } from "./ingredient-parser.js";
+import { matchRecipeLine, parseRecipeLine } from "./ingredient-matcher.js";
+import { formatQuantity } from "./ingredients.js";
+import { formatMeasure } from "./recipe-units.js";
+
+// Store sections in walking order, keyed by ingredient category
+export const STORE_SECTIONS = [
+  { category: "produce", label: "Produce" },
+  { category: "protein", label: "Meat & Fish" },
+  { category: "dairy", label: "Dairy & Eggs" },
+  { category: "grains", label: "Bread & Grains" },
+  { category: "baking", label: "Baking" },
+  { category: "spices", label: "Spices" },
+  { category: "canned", label: "Canned & Jarred" },
+  { category: "condiments", label: "Condiments & Sauces" },
+  { category: "frozen", label: "Frozen" },
+  { category: "beverages", label: "Drinks" },
+  { category: "other", label: "Other" },
+];
+
+export const ITEM_STATUS = {
+  BUY: "buy",
+  HAVE: "have", // the pantry covers it
+  STAPLE: "staple", // assumed to be in every kitchen
+};
+
+// "2-3 cloves" or "1 to 2 tbsp": buy for the larger amount
+const RANGE_START = /^\d+(?:[./]\d+)?(?:\s+\d+\/\d+)?\s*(?:-|–|to)\s*(?=\d)/;
+
+function roundQuantity(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A unit written after the ingredient: "2 garlic cloves"
+function trailingUnit(name) {
+  const words = name.split(" ");
+  const unit = words.length > 1 && normalizeUnit(words[words.length - 1]);
+  return unit ? { unit, name: words.slice(0, -1).join(" ") } : null;
+}
+
+/**
+ * The quantity and unit of a recipe line, ignoring package sizes in
+ * parentheses: "1 (14 oz) can tomatoes" is 1 can
+ */
+export function recipeLineQuantity(line) {
+  const text = line
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(RANGE_START, "");
+  const { quantity, unit, rest } = splitQuantity(text.split(",")[0]);
+  return { quantity, unit: unit || trailingUnit(rest)?.unit || "" };
+}
+
+/**
+ * A pantry ingredient's unit as the parser writes it ("lbs" -> "lb")
+ */
+export function pantryUnit(ingredient) {
+  if (!ingredient.unit) return "";
+  return normalizeUnit(ingredient.unit) || ingredient.unit;
+}
+
+function itemName(match, parsed) {
+  if (match.ingredient) return match.ingredient.name;
+
+  const known = [parsed.name, parsed.core, trailingUnit(parsed.core)?.name]
+    .filter(Boolean)
+    .map(lookupIngredient)
+    .find(Boolean);
+  return known?.name || parsed.core || parsed.name;
+}
+
+function itemSection(name, pantryIngredient) {
+  const category =
+    pantryIngredient?.category || lookupIngredient(name)?.category;
+  return STORE_SECTIONS.some((section) => section.category === category)
+    ? category
+    : "other";
+}
+
+function addAmount(amounts, quantity, unit) {
+  const same = amounts.find((amount) => amount.unit === unit);
+  if (same) {
+    same.quantity = roundQuantity(same.quantity + quantity);
+  } else {
+    amounts.push({ quantity, unit });
+  }
+}
+
+/**
+ * Take off what the pantry has
+ * Only amounts in the pantry's own unit can be compared; a pantry item with
+ * no quantity, or in another unit, is taken to be enough
+ */
+function diffWithPantry(item) {
+  const { pantry, ...fields } = item;
+  const needed = item.amounts;
+
+  if (!pantry) {
+    return {
+      ...fields,
+      needed,
+      status: item.staple ? ITEM_STATUS.STAPLE : ITEM_STATUS.BUY,
+      inPantry: "",
+    };
+  }
+
+  const unit = pantryUnit(pantry);
+  const shortfall =
+    pantry.quantity === null || pantry.quantity === undefined
+      ? []
+      : needed
+          .filter((amount) => amount.unit === unit)
+          .map((amount) => ({
+            ...amount,
+            quantity: roundQuantity(amount.quantity - pantry.quantity),
+          }))
+          .filter((amount) => amount.quantity > 0);
+
+  return {
+    ...fields,
+    amounts: shortfall,
+    needed,
+    unmeasured: false,
+    status: shortfall.length > 0 ? ITEM_STATUS.BUY : ITEM_STATUS.HAVE,
+    inPantry: formatQuantity(pantry) || "some",
+  };
+}
+
+/**
+ * One list for several recipes, checked against the pantry
+ * Returns [{ key, name, section, amounts, needed, unmeasured, recipes, lines,
+ * optional, status, inPantry }] where `amounts` is what to buy, `needed` what
+ * the recipes call for, and `unmeasured` is set when a line gave no amount
+ */
+export function buildShoppingList(recipes, pantry = []) {
+  const items = new Map();
+
+  recipes.forEach((recipe) => {
+    (recipe.ingredients || []).forEach((recipeLine) => {
+      const line = recipeLine.trim().replace(RANGE_START, "");
+      const match = matchRecipeLine(line, pantry);
+      const name = itemName(match, parseRecipeLine(line));
+      if (!name) return;
+
+      if (!items.has(name)) {
+        items.set(name, {
+          key: name,
+          name,
+          section: itemSection(name, match.ingredient),
+          amounts: [],
+          unmeasured: false,
+          recipes: [],
+          lines: [],
+          optional: true,
+          staple: true,
+          pantry: null,
+        });
+      }
+      const item = items.get(name);
+
+      const { quantity, unit } = recipeLineQuantity(line);
+      if (quantity === null) {
+        item.unmeasured = true;
+      } else {
+        addAmount(item.amounts, quantity, unit);
+      }
+
+      // Needed if any recipe needs it
+      item.optional = item.optional && match.optional;
+      item.staple = item.staple && match.staple;
+      item.pantry = item.pantry || match.ingredient;
+      if (!item.recipes.includes(recipe.title)) item.recipes.push(recipe.title);
+      item.lines.push(recipeLine);
+    });
+  });
+
+  return [...items.values()]
+    .map(diffWithPantry)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The items to buy, grouped by store section in walking order
+ * Returns [{ category, label, items }], empty sections left out
+ */
+export function groupBySection(items) {
+  const toBuy = items.filter((item) => item.status === ITEM_STATUS.BUY);
+  return STORE_SECTIONS.map((section) => ({
+    ...section,
+    items: toBuy.filter((item) => item.section === section.category),
+  })).filter((section) => section.items.length > 0);
+}
+
+/**
+ * "2 cups + 100 ml", or "" when the recipes gave no amount
+ */
+export function formatItemAmount(item, amounts = item.amounts) {
+  return amounts
+    .map((amount) => formatMeasure(amount.quantity, amount.unit))
+    .join(" + ");
+}
+
+/**
+ * The recipes the session likes most: net votes above zero, best first
+ */
+export function pickTopVoted(recipes, count) {
+  return recipes
+    .filter((recipe) => (recipe.votes || 0) > 0)
+    .sort((a, b) => b.votes - a.votes || a.createdAt - b.createdAt)
+    .slice(0, count);
+}
+
+function describeItem(item) {
+  const amount = formatItemAmount(item);
+  const notes = [
+    item.optional ? "optional" : "",
+    item.inPantry
+      ? `need ${formatItemAmount(item, item.needed)}, have ${item.inPantry}`
+      : "",
+  ].filter(Boolean);
+
+  return [
+    amount ? `${item.name} — ${amount}` : item.name,
+    notes.length > 0 ? ` (${notes.join(", ")})` : "",
+  ].join("");
+}
+
+function listParts(items, checked) {
+  const names = (status) =>
+    items
+      .filter((item) => item.status === status)
+      .map((item) => item.name)
+      .join(", ");
+
+  return {
+    sections: groupBySection(items).map((section) => ({
+      label: section.label,
+      lines: section.items.map((item) => ({
+        text: describeItem(item),
+        checked: Boolean(checked[item.key]),
+      })),
+    })),
+    have: names(ITEM_STATUS.HAVE),
+    staples: names(ITEM_STATUS.STAPLE),
+  };
+}
+
+/**
+ * Plain text for pasting into a message or notes app
+ */
+export function shoppingListToText(
+  items,
+  { recipes = [], checked = {} } = {}
+) {
+  const { sections, have, staples } = listParts(items, checked);
+
+  return [
+    `Shopping list${recipes.length > 0 ? ` for ${recipes.join(", ")}` : ""}`,
+    ...sections.map((section) =>
+      [
+        "",
+        section.label.toUpperCase(),
+        ...section.lines.map(
+          (line) => `[${line.checked ? "x" : " "}] ${line.text}`
+        ),
+      ].join("\n")
+    ),
+    have ? `\nAlready in the pantry: ${have}` : "",
+    staples ? `\nStaples to check: ${staples}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Markdown with task-list checkboxes
+ */
+export function shoppingListToMarkdown(
+  items,
+  { recipes = [], checked = {} } = {}
+) {
+  const { sections, have, staples } = listParts(items, checked);
+
+  return [
+    "# Shopping list",
+    recipes.length > 0 ? `\nFor ${recipes.join(", ")}` : "",
+    ...sections.map((section) =>
+      [
+        "",
+        `## ${section.label}`,
+        "",
+        ...section.lines.map(
+          (line) => `- [${line.checked ? "x" : " "}] ${line.text}`
+        ),
+      ].join("\n")
+    ),
+    have ? `\n**Already in the pantry:** ${have}` : "",
+    staples ? `\n**Staples to check:** ${staples}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
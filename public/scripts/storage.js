@@ -2,23 +2,115 @@
  * Storage utility module for Pantry Party
  * Handles localStorage persistence for session data, ingredients, recipes, and votes
  * Designed to be easily replaceable with other storage backends (Redis, Supabase, etc.)
+ *
+ * A storage adapter is any object with synchronous
+ *   get(key) -> value | null, set(key, value), remove(key), clear()
+ * Implementations: LocalStorageAdapter (below), HttpStorageAdapter
+ * (/scripts/remote-storage.js) and FileStorageAdapter (src/server/file-storage.js)
  */
 
+import {
+  assignRegister,
+  mergeRegisters,
+  assignFields,
+  mergeFields,
+  readFields,
+  addToSet,
+  updateInSet,
+  removeFromSet,
+  mergeSets,
+  readSet,
+} from "./crdt.js";
+import { normalizeIngredientDetails } from "./ingredients.js";
+import { canonicalIngredientName } from "./ingredient-dictionary.js";
+import { matchRecipeIngredients } from "./ingredient-matcher.js";
+import { normalizeDietaryProfile } from "./dietary.js";
+import { DEFAULT_PROVIDER } from "./providers.js";
+import { DEFAULT_GENERATION_POLICY } from "./generation-policy.js";
+import { DEFAULT_UNIT_SYSTEM } from "./recipe-units.js";
+import { DEFAULT_PLAN_DAYS, MEALS, toDateString } from "./meal-plan.js";
+import { clampRating, createCookbookEntry, parseTags } from "./cookbook.js";
+
 // Storage keys
 const STORAGE_KEYS = {
   SESSION: "pantry_party_session",
   USER: "pantry_party_user",
+  IDENTITY: "pantry_party_identity",
   OPENAI_KEY: "pantry_party_openai_key",
+  PROVIDER: "pantry_party_provider",
   INGREDIENTS: "pantry_party_ingredients",
   RECIPES: "pantry_party_recipes",
+  MEAL_PLAN: "pantry_party_meal_plan",
   VOTES: "pantry_party_votes",
+  GENERATIONS: "pantry_party_generations",
+  USAGE: "pantry_party_usage",
+  USAGE_HISTORY: "pantry_party_usage_history",
+  PRICES: "pantry_party_prices",
+  COOK_MODE: "pantry_party_cook_mode",
+  COOKBOOK: "pantry_party_cookbook",
+  SESSION_HISTORY: "pantry_party_session_history",
+  SHOPPING_LIST: "pantry_party_shopping_list",
   CONTEXT: "pantry_party_context",
   BLACKLIST: "pantry_party_blacklist",
+  SYNC: "pantry_party_sync",
+};
+
+// Keys shared by everyone in a session, with their field in an exported
+// session state; the user and API key never leave the browser
+export const SHARED_STATE_FIELDS = {
+  [STORAGE_KEYS.SESSION]: "session",
+  [STORAGE_KEYS.INGREDIENTS]: "ingredients",
+  [STORAGE_KEYS.BLACKLIST]: "blacklist",
+  [STORAGE_KEYS.CONTEXT]: "context",
+  [STORAGE_KEYS.RECIPES]: "recipes",
+  [STORAGE_KEYS.MEAL_PLAN]: "mealPlan",
+  [STORAGE_KEYS.VOTES]: "votes",
+  [STORAGE_KEYS.GENERATIONS]: "generations",
+  [STORAGE_KEYS.USAGE]: "usage",
+  [STORAGE_KEYS.SHOPPING_LIST]: "shoppingList",
+  [STORAGE_KEYS.SYNC]: "sync",
 };
 
+export const SHARED_STORAGE_KEYS = Object.keys(SHARED_STATE_FIELDS);
+
+// Kept apart per session code in the browser, so several sessions can live
+// side by side; the API key, prices, cookbook and the like serve them all
+const SESSION_SCOPED_KEYS = [
+  ...SHARED_STORAGE_KEYS,
+  STORAGE_KEYS.USER,
+  STORAGE_KEYS.IDENTITY,
+  STORAGE_KEYS.COOK_MODE,
+];
+
 // Session expires after 4 hours of inactivity
 const SESSION_TIMEOUT = 4 * 60 * 60 * 1000;
 
+// Events published by every shared mutation so all participants stay in sync
+export const SESSION_EVENTS = {
+  INGREDIENT_ADD: "ingredient:add",
+  INGREDIENT_UPDATE: "ingredient:update",
+  INGREDIENT_REMOVE: "ingredient:remove",
+  BLACKLIST_ADD: "blacklist:add",
+  BLACKLIST_REMOVE: "blacklist:remove",
+  CONTEXT_SET: "context:set",
+  RECIPE_ADD: "recipe:add",
+  RECIPE_UPDATE: "recipe:update",
+  RECIPE_REMOVE: "recipe:remove",
+  MEAL_PLAN_UPDATE: "mealplan:update",
+  MEAL_SLOT_SET: "mealplan:slot",
+  VOTE_CAST: "vote:cast",
+  GENERATION_REQUEST: "generation:request",
+  GENERATION_UPDATE: "generation:update",
+  USAGE_RECORD: "usage:record",
+  SHOPPING_LIST_SET: "shopping:set",
+  SHOPPING_ITEM_CHECK: "shopping:check",
+  PARTICIPANT_JOIN: "participant:join",
+  PARTICIPANT_UPDATE: "participant:update",
+  PARTICIPANT_LEAVE: "participant:leave",
+  SESSION_UPDATE: "session:update",
+  SESSION_END: "session:end",
+};
+
 /**
  * Generate a unique ID for users and sessions
  */
@@ -30,6 +122,9 @@ export function generateId() {
  * Check if localStorage is available
  */
 function isStorageAvailable() {
+  // No localStorage outside the browser (e.g. on the session server)
+  if (typeof localStorage === "undefined") return false;
+
   try {
     const test = "__storage_test__";
     localStorage.setItem(test, test);
@@ -42,64 +137,383 @@ function isStorageAvailable() {
 }
 
 /**
- * Storage adapter that can be easily swapped out
+ * Browser storage adapter, the default
+ * Pass { memoryOnly: true } to keep data in memory only, and a session code
+ * as namespace to keep that session's data under its own keys
  */
-class StorageAdapter {
-  constructor() {
-    this.available = isStorageAvailable();
+export class LocalStorageAdapter {
+  constructor({ memoryOnly = false, namespace = null } = {}) {
+    this.available = !memoryOnly && isStorageAvailable();
+    this.namespace = namespace;
     this.memoryStore = new Map(); // Fallback for when localStorage isn't available
   }
 
+  // "pantry_party_recipes:ABC123" for a session's data
+  keyFor(key) {
+    return this.namespace && SESSION_SCOPED_KEYS.includes(key)
+      ? `${key}:${this.namespace}`
+      : key;
+  }
+
   get(key) {
     if (this.available) {
-      const item = localStorage.getItem(key);
+      const item = localStorage.getItem(this.keyFor(key));
       return item ? JSON.parse(item) : null;
     }
-    return this.memoryStore.get(key) || null;
+    return this.memoryStore.get(this.keyFor(key)) || null;
   }
 
   set(key, value) {
     if (this.available) {
-      localStorage.setItem(key, JSON.stringify(value));
+      localStorage.setItem(this.keyFor(key), JSON.stringify(value));
     } else {
-      this.memoryStore.set(key, value);
+      this.memoryStore.set(this.keyFor(key), value);
     }
   }
 
   remove(key) {
     if (this.available) {
-      localStorage.removeItem(key);
+      localStorage.removeItem(this.keyFor(key));
     } else {
-      this.memoryStore.delete(key);
+      this.memoryStore.delete(this.keyFor(key));
     }
   }
 
+  // Only Pantry Party keys, and with a namespace only that session's
   clear() {
-    if (this.available) {
-      // Only clear Pantry Party keys
-      Object.values(STORAGE_KEYS).forEach((key) =>
-        localStorage.removeItem(key)
+    const keys = this.namespace
+      ? SESSION_SCOPED_KEYS
+      : Object.values(STORAGE_KEYS);
+    keys.forEach((key) => this.remove(key));
+  }
+}
+
+// The session page's code, so the page works on that session's data
+function sessionCodeFromPage() {
+  if (typeof location === "undefined") return null;
+  const code = new URLSearchParams(location.search).get("code");
+  return code ? code.toUpperCase() : null;
+}
+
+let storage = new LocalStorageAdapter({ namespace: sessionCodeFromPage() });
+
+/**
+ * Replace the storage adapter used by all stores
+ */
+export function setStorageAdapter(adapter) {
+  storage = adapter;
+}
+
+/**
+ * Run storage operations against another adapter, restoring the default afterwards
+ */
+export function withStorageAdapter(adapter, callback) {
+  const previous = storage;
+  storage = adapter;
+  try {
+    return callback();
+  } finally {
+    storage = previous;
+  }
+}
+
+/**
+ * Work on one session's data in this browser from now on, e.g. before
+ * creating or joining it
+ */
+export function openSessionStorage(code) {
+  setStorageAdapter(new LocalStorageAdapter({ namespace: code }));
+}
+
+/**
+ * Run storage operations against one session's data in this browser
+ */
+export function withSessionStorage(code, callback) {
+  return withStorageAdapter(
+    new LocalStorageAdapter({ namespace: code }),
+    callback
+  );
+}
+
+/**
+ * Session event stream
+ * Mutations are applied through the same reducers whether they happen here or
+ * arrive from another participant, then handed to subscribers and the transport.
+ * Each event carries a Lamport stamp so replicas converge whatever order
+ * events arrive in (see crdt.js)
+ */
+const eventSubscribers = new Map();
+let eventTransport = null;
+
+// Identifies this page (or server process) in Lamport stamps
+const replicaId = generateId();
+
+/**
+ * Subscribe to a session event type ("*" for all), returns an unsubscribe function
+ */
+export function subscribeToSessionEvents(type, handler) {
+  if (!eventSubscribers.has(type)) eventSubscribers.set(type, new Set());
+  eventSubscribers.get(type).add(handler);
+  return () => eventSubscribers.get(type).delete(handler);
+}
+
+/**
+ * Set the function that forwards local events to other participants
+ */
+export function setSessionEventTransport(transport) {
+  eventTransport = transport;
+}
+
+function notifySubscribers(event) {
+  [event.type, "*"].forEach((type) => {
+    (eventSubscribers.get(type) || []).forEach((handler) => {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`Session event handler for ${type} failed:`, error);
+      }
+    });
+  });
+}
+
+/**
+ * Whether an event is a known type with the payload its reducer expects
+ */
+export function isValidSessionEvent(event) {
+  const check = eventPayloadChecks[event?.type];
+  return Boolean(check) && isObject(event.payload) && check(event.payload);
+}
+
+function isValidStamp(stamp) {
+  return (
+    isObject(stamp) &&
+    Number.isSafeInteger(stamp.clock) &&
+    stamp.clock >= 0 &&
+    typeof stamp.replica === "string"
+  );
+}
+
+function nextStamp() {
+  return { clock: SyncStorage.get().clock + 1, replica: replicaId };
+}
+
+/**
+ * The event with a stamp from this replica in place of the one it came with
+ * The server stamps participants' events itself, so nobody can pick a clock
+ * that wins every conflict
+ */
+export function stampSessionEvent(event) {
+  return { ...event, stamp: nextStamp() };
+}
+
+/**
+ * Apply an event from another participant to local storage
+ */
+export function applySessionEvent(event) {
+  if (!isValidSessionEvent(event) || !isValidStamp(event.stamp)) {
+    console.warn("Ignoring malformed session event:", event?.type);
+    return;
+  }
+  const reducer = eventReducers[event.type];
+
+  const sync = SyncStorage.get();
+  sync.clock = Math.max(sync.clock, event.stamp.clock);
+
+  const changedViews = reducer(sync, event.payload, event.stamp);
+  SyncStorage.set(sync);
+  changedViews.forEach((view) => syncViews[view](sync));
+
+  notifySubscribers(event);
+}
+
+/**
+ * Apply a local mutation and publish it
+ */
+function publish(type, payload) {
+  const event = { type, payload, stamp: nextStamp(), publishedAt: Date.now() };
+  applySessionEvent(event);
+  eventTransport?.(event);
+}
+
+/**
+ * Merge metadata behind the shared session state
+ * Views (session, ingredients, ...) are rebuilt from it after every event
+ */
+function createSyncState() {
+  return {
+    clock: 0,
+    session: {},
+    participants: {},
+    ingredients: {},
+    blacklist: {},
+    context: null,
+    recipes: {},
+    mealPlan: {},
+    mealSlots: {},
+    votes: {},
+    generations: {},
+    usage: {},
+    shoppingList: null,
+    shoppingChecks: {},
+  };
+}
+
+function voteKey(userId, recipeId) {
+  return `${userId}/${recipeId}`;
+}
+
+// Checks belong to one list, so a new list starts unchecked
+function shoppingCheckKey(listId, itemKey) {
+  return `${listId}/${itemKey}`;
+}
+
+/**
+ * Build merge metadata from plain views, e.g. data saved before it existed
+ */
+function buildSyncState() {
+  const seed = { clock: 0, replica: "" };
+  const sync = createSyncState();
+
+  const session = storage.get(STORAGE_KEYS.SESSION);
+  if (session) {
+    const { participants = [], ...fields } = session;
+    sync.session = assignFields({}, fields, seed);
+    participants.forEach((participant) => {
+      sync.participants = addToSet(
+        sync.participants,
+        participant.id,
+        participant,
+        seed
       );
-    } else {
-      this.memoryStore.clear();
-    }
+    });
   }
+
+  IngredientsStorage.get().forEach((ingredient) => {
+    sync.ingredients = addToSet(
+      sync.ingredients,
+      ingredient.id,
+      ingredient,
+      seed
+    );
+  });
+
+  BlacklistStorage.get().forEach((name) => {
+    sync.blacklist = addToSet(sync.blacklist, name, { name }, seed);
+  });
+
+  const context = ContextStorage.get();
+  if (context) sync.context = assignRegister(null, context, seed);
+
+  RecipeStorage.get().forEach((recipe) => {
+    sync.recipes = addToSet(sync.recipes, recipe.id, recipe, seed);
+  });
+
+  const mealPlan = storage.get(STORAGE_KEYS.MEAL_PLAN);
+  if (mealPlan) {
+    const { slots = {}, ...fields } = mealPlan;
+    sync.mealPlan = assignFields({}, fields, seed);
+    sync.mealSlots = assignFields({}, slots, seed);
+  }
+
+  GenerationStorage.get().forEach((generation) => {
+    sync.generations = addToSet(
+      sync.generations,
+      generation.id,
+      generation,
+      seed
+    );
+  });
+
+  UsageStorage.get().forEach((call) => {
+    sync.usage = addToSet(sync.usage, call.id, call, seed);
+  });
+
+  const shoppingList = ShoppingListStorage.get();
+  if (shoppingList) {
+    const { checked = {}, ...list } = shoppingList;
+    sync.shoppingList = assignRegister(null, list, seed);
+    Object.keys(checked).forEach((itemKey) => {
+      sync.shoppingChecks = assignFields(
+        sync.shoppingChecks,
+        { [shoppingCheckKey(list.id, itemKey)]: true },
+        seed
+      );
+    });
+  }
+
+  Object.entries(VoteStorage.get()).forEach(([userId, userVotes]) => {
+    Object.entries(userVotes).forEach(([recipeId, voteType]) => {
+      sync.votes = assignFields(
+        sync.votes,
+        { [voteKey(userId, recipeId)]: voteType },
+        seed
+      );
+    });
+  });
+
+  return sync;
+}
+
+const SyncStorage = {
+  get() {
+    return storage.get(STORAGE_KEYS.SYNC) || buildSyncState();
+  },
+
+  set(sync) {
+    storage.set(STORAGE_KEYS.SYNC, sync);
+  },
+
+  // Rebuilt from the views on next use
+  reset() {
+    storage.remove(STORAGE_KEYS.SYNC);
+  },
+};
+
+/**
+ * Merge two replicas' metadata, the result is the same in either order
+ */
+export function mergeSyncStates(a, b) {
+  return {
+    clock: Math.max(a.clock || 0, b.clock || 0),
+    session: mergeFields(a.session, b.session),
+    participants: mergeSets(a.participants, b.participants),
+    ingredients: mergeSets(a.ingredients, b.ingredients),
+    blacklist: mergeSets(a.blacklist, b.blacklist),
+    context: mergeRegisters(a.context, b.context),
+    recipes: mergeSets(a.recipes, b.recipes),
+    mealPlan: mergeFields(a.mealPlan, b.mealPlan),
+    mealSlots: mergeFields(a.mealSlots, b.mealSlots),
+    votes: mergeFields(a.votes, b.votes),
+    generations: mergeSets(a.generations, b.generations),
+    usage: mergeSets(a.usage, b.usage),
+    shoppingList: mergeRegisters(a.shoppingList, b.shoppingList),
+    shoppingChecks: mergeFields(a.shoppingChecks, b.shoppingChecks),
+  };
 }
 
-const storage = new StorageAdapter();
+/**
+ * Merge another replica's metadata into local storage and rebuild all views
+ */
+export function mergeSyncState(remoteSync) {
+  const sync = mergeSyncStates(SyncStorage.get(), remoteSync);
+  SyncStorage.set(sync);
+  Object.values(syncViews).forEach((writeView) => writeView(sync));
+  return sync;
+}
 
 /**
  * Session Management
  */
 export const SessionStorage = {
-  create(sessionId, hostId, hostName) {
+  // hostSecret is issued by the server with the code, see registerSession()
+  create(sessionId, hostId, hostName, hostSecret) {
     const session = {
       id: sessionId,
       hostId,
       hostName,
       createdAt: Date.now(),
       lastActivity: Date.now(),
-      allowRecipeGeneration: true,
+      ...DEFAULT_GENERATION_POLICY,
       participants: [
         {
           id: hostId,
@@ -109,6 +523,9 @@ export const SessionStorage = {
       ],
     };
     storage.set(STORAGE_KEYS.SESSION, session);
+    SyncStorage.reset();
+    IdentityStorage.set({ hostSecret, token: null });
+    SessionHistoryStorage.record();
     return session;
   },
 
@@ -125,38 +542,79 @@ export const SessionStorage = {
     return session;
   },
 
+  // Participants change through addParticipant/removeParticipant
   update(updates) {
     const session = this.get();
     if (!session) return null;
 
-    const updatedSession = {
-      ...session,
-      ...updates,
-      lastActivity: Date.now(),
-    };
-    storage.set(STORAGE_KEYS.SESSION, updatedSession);
-    return updatedSession;
+    const { participants, ...fields } = updates;
+    publish(SESSION_EVENTS.SESSION_UPDATE, {
+      updates: { ...fields, lastActivity: Date.now() },
+    });
+    return this.get();
   },
 
-  addParticipant(userId, userName) {
+  // Keep the session alive locally without telling other participants
+  touch() {
     const session = this.get();
     if (!session) return null;
 
-    const participant = { id: userId, name: userName, joinedAt: Date.now() };
-    session.participants.push(participant);
-    return this.update({ participants: session.participants });
+    session.lastActivity = Date.now();
+    storage.set(STORAGE_KEYS.SESSION, session);
+    return session;
+  },
+
+  // Pick a session up again from the history; unlike get() this works after
+  // the timeout, which starts over
+  reopen() {
+    const session = storage.get(STORAGE_KEYS.SESSION);
+    if (!session) return null;
+
+    session.lastActivity = Date.now();
+    storage.set(STORAGE_KEYS.SESSION, session);
+    return session;
+  },
+
+  addParticipant(userId, userName, dietaryProfile) {
+    if (!this.get()) return null;
+
+    const participant = {
+      id: userId,
+      name: userName,
+      dietaryProfile: normalizeDietaryProfile(dietaryProfile),
+      joinedAt: Date.now(),
+    };
+    publish(SESSION_EVENTS.PARTICIPANT_JOIN, { participant });
+    return this.get();
   },
 
-  removeParticipant(userId) {
+  // Share a participant's dietary profile with the session
+  updateParticipantProfile(userId, dietaryProfile) {
     const session = this.get();
-    if (!session) return null;
+    if (!session?.participants.some((p) => p.id === userId)) return null;
 
-    session.participants = session.participants.filter((p) => p.id !== userId);
-    return this.update({ participants: session.participants });
+    publish(SESSION_EVENTS.PARTICIPANT_UPDATE, {
+      participantId: userId,
+      updates: { dietaryProfile: normalizeDietaryProfile(dietaryProfile) },
+    });
+    return this.get();
+  },
+
+  removeParticipant(userId) {
+    if (!this.get()) return null;
+
+    publish(SESSION_EVENTS.PARTICIPANT_LEAVE, { participantId: userId });
+    return this.get();
+  },
+
+  // End the session for everyone and clear its data
+  end() {
+    publish(SESSION_EVENTS.SESSION_END, { endedAt: Date.now() });
   },
 
   clear() {
     storage.remove(STORAGE_KEYS.SESSION);
+    SyncStorage.reset();
   },
 };
 
@@ -164,9 +622,9 @@ export const SessionStorage = {
  * User Management
  */
 export const UserStorage = {
-  create(name) {
+  create(name, id = generateId()) {
     const user = {
-      id: generateId(),
+      id,
       name,
       createdAt: Date.now(),
     };
@@ -178,6 +636,12 @@ export const UserStorage = {
     return storage.get(STORAGE_KEYS.USER);
   },
 
+  // Take on a user as they were, e.g. when restoring a session snapshot
+  set(user) {
+    storage.set(STORAGE_KEYS.USER, user);
+    return user;
+  },
+
   update(updates) {
     const user = this.get();
     if (!user) return null;
@@ -187,13 +651,51 @@ export const UserStorage = {
     return updatedUser;
   },
 
+  // How recipe quantities are shown: "original", "metric" or "imperial"
+  getUnitSystem() {
+    return this.get()?.unitSystem || DEFAULT_UNIT_SYSTEM;
+  },
+
+  setUnitSystem(unitSystem) {
+    return this.update({ unitSystem });
+  },
+
   clear() {
     storage.remove(STORAGE_KEYS.USER);
   },
 };
 
+/**
+ * Identity in a session
+ * The host secret made when the session was created, which lets its creator
+ * open the session on the server, and the token the server signed when this
+ * user joined. Neither is shared with the session
+ */
+export const IdentityStorage = {
+  // { hostSecret, token }
+  get() {
+    return (
+      storage.get(STORAGE_KEYS.IDENTITY) || { hostSecret: null, token: null }
+    );
+  },
+
+  set(identity) {
+    storage.set(STORAGE_KEYS.IDENTITY, identity);
+  },
+
+  setToken(token) {
+    this.set({ ...this.get(), token });
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.IDENTITY);
+  },
+};
+
 /**
  * OpenAI API Key Management
+ * Holds the key as saved: plain text or an encrypted record. Use api-key.js
+ * to get a key to call the provider with
  */
 export const OpenAIStorage = {
   set(apiKey) {
@@ -209,6 +711,32 @@ export const OpenAIStorage = {
   },
 };
 
+/**
+ * LLM Provider Settings
+ * Which provider to use (see providers.js), its base URL and model; empty
+ * values fall back to the provider's defaults
+ */
+export const ProviderStorage = {
+  get() {
+    return {
+      provider: DEFAULT_PROVIDER,
+      baseUrl: "",
+      model: "",
+      ...storage.get(STORAGE_KEYS.PROVIDER),
+    };
+  },
+
+  set(settings) {
+    const updated = { ...this.get(), ...settings };
+    storage.set(STORAGE_KEYS.PROVIDER, updated);
+    return updated;
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.PROVIDER);
+  },
+};
+
 /**
  * Ingredients Management
  */
@@ -222,38 +750,57 @@ export const IngredientsStorage = {
   },
 
   add(ingredient) {
-    const ingredients = this.get();
-
     // Handle both string and object parameters
-    let name, addedBy;
+    let name, addedBy, details;
     if (typeof ingredient === "string") {
-      name = ingredient.trim().toLowerCase();
+      name = canonicalIngredientName(ingredient);
       addedBy = "unknown";
+      details = {};
     } else {
-      name = ingredient.name ? ingredient.name.trim().toLowerCase() : "";
+      name = ingredient.name ? canonicalIngredientName(ingredient.name) : "";
       addedBy = ingredient.addedBy || "unknown";
+      details = ingredient;
     }
 
+    // Quantity, unit, category and expiry date are optional
     const newIngredient = {
       id: generateId(),
       name: name,
+      ...normalizeIngredientDetails(details),
       addedBy: addedBy,
       addedAt: Date.now(),
     };
-    ingredients.push(newIngredient);
-    this.set(ingredients);
+    publish(SESSION_EVENTS.INGREDIENT_ADD, { ingredient: newIngredient });
     return newIngredient;
   },
 
+  update(ingredientId, updates) {
+    if (!this.get().some((ing) => ing.id === ingredientId)) return null;
+
+    // Only the fields given are changed
+    const { name, ...details } = updates;
+    const changes = Object.fromEntries(
+      Object.entries(normalizeIngredientDetails(details)).filter(
+        ([field]) => field in details
+      )
+    );
+    if (name && name.trim()) changes.name = canonicalIngredientName(name);
+
+    publish(SESSION_EVENTS.INGREDIENT_UPDATE, {
+      ingredientId,
+      updates: changes,
+    });
+    return this.get().find((ing) => ing.id === ingredientId);
+  },
+
   remove(ingredientId) {
-    const ingredients = this.get();
-    const filtered = ingredients.filter((ing) => ing.id !== ingredientId);
-    this.set(filtered);
-    return filtered;
+    publish(SESSION_EVENTS.INGREDIENT_REMOVE, { ingredientId });
+    return this.get();
   },
 
   clear() {
     storage.remove(STORAGE_KEYS.INGREDIENTS);
+    SyncStorage.reset();
   },
 };
 
@@ -270,23 +817,22 @@ export const BlacklistStorage = {
   },
 
   add(ingredient) {
-    const blacklist = this.get();
-    if (!blacklist.includes(ingredient.toLowerCase())) {
-      blacklist.push(ingredient.toLowerCase());
-      this.set(blacklist);
+    if (!this.get().includes(ingredient.toLowerCase())) {
+      publish(SESSION_EVENTS.BLACKLIST_ADD, {
+        ingredient: ingredient.toLowerCase(),
+      });
     }
   },
 
   remove(ingredient) {
-    const blacklist = this.get();
-    const filtered = blacklist.filter(
-      (item) => item !== ingredient.toLowerCase()
-    );
-    this.set(filtered);
+    publish(SESSION_EVENTS.BLACKLIST_REMOVE, {
+      ingredient: ingredient.toLowerCase(),
+    });
   },
 
   clear() {
     storage.remove(STORAGE_KEYS.BLACKLIST);
+    SyncStorage.reset();
   },
 };
 
@@ -299,11 +845,12 @@ export const ContextStorage = {
   },
 
   set(context) {
-    storage.set(STORAGE_KEYS.CONTEXT, context);
+    publish(SESSION_EVENTS.CONTEXT_SET, { context });
   },
 
   clear() {
     storage.remove(STORAGE_KEYS.CONTEXT);
+    SyncStorage.reset();
   },
 };
 
@@ -320,7 +867,6 @@ export const RecipeStorage = {
   },
 
   add(recipe) {
-    const recipes = this.get();
     const newRecipe = {
       id: generateId(),
       ...recipe,
@@ -329,44 +875,36 @@ export const RecipeStorage = {
       votersIds: [],
       isValid: true,
     };
-    recipes.push(newRecipe);
-    this.set(recipes);
+    publish(SESSION_EVENTS.RECIPE_ADD, { recipe: newRecipe });
     return newRecipe;
   },
 
   update(recipeId, updates) {
-    const recipes = this.get();
-    const index = recipes.findIndex((r) => r.id === recipeId);
-    if (index === -1) return null;
+    if (!this.get().some((r) => r.id === recipeId)) return null;
 
-    recipes[index] = { ...recipes[index], ...updates };
-    this.set(recipes);
-    return recipes[index];
+    publish(SESSION_EVENTS.RECIPE_UPDATE, { recipeId, updates });
+    return this.get().find((r) => r.id === recipeId);
   },
 
   remove(recipeId) {
-    const recipes = this.get();
-    const filtered = recipes.filter((r) => r.id !== recipeId);
-    this.set(filtered);
-    return filtered;
+    publish(SESSION_EVENTS.RECIPE_REMOVE, { recipeId });
+    return this.get();
   },
 
   // Mark recipes as invalid when ingredients change significantly
+  // Derived from the ingredient list, so every participant recomputes it locally
   markInvalidRecipes(currentIngredients) {
     const recipes = this.get();
-    const ingredientNames = currentIngredients.map((ing) =>
-      ing.name.toLowerCase()
-    );
 
     recipes.forEach((recipe) => {
       if (recipe.ingredients) {
-        const missingIngredients = recipe.ingredients.filter(
-          (ing) => !ingredientNames.includes(ing.toLowerCase())
+        const { coverage } = matchRecipeIngredients(
+          recipe.ingredients,
+          currentIngredients
         );
 
         // Mark as invalid if more than 30% of ingredients are missing
-        recipe.isValid =
-          missingIngredients.length / recipe.ingredients.length < 0.3;
+        recipe.isValid = 1 - coverage < 0.3;
       }
     });
 
@@ -376,36 +914,77 @@ export const RecipeStorage = {
 
   clear() {
     storage.remove(STORAGE_KEYS.RECIPES);
+    SyncStorage.reset();
   },
 };
 
 /**
- * Vote Management
+ * Meal Plan
+ * Which recipe the session cooks on which day and meal. Slots are keyed
+ * "YYYY-MM-DD/meal" (see meal-plan.js)
  */
-export const VoteStorage = {
+export const MealPlanStorage = {
+  // { startDate, days, meals, slots }, each slot holding
+  // { recipeId, assignedBy, cookedAt }
   get() {
-    return storage.get(STORAGE_KEYS.VOTES) || {};
+    const plan = storage.get(STORAGE_KEYS.MEAL_PLAN);
+    return {
+      startDate: toDateString(),
+      days: DEFAULT_PLAN_DAYS,
+      meals: [...MEALS],
+      ...plan,
+      slots: plan?.slots || {},
+    };
   },
 
-  vote(recipeId, userId, voteType) {
-    const votes = this.get();
-    const userVotes = votes[userId] || {};
-
-    // Remove previous vote for this recipe if it exists
-    delete userVotes[recipeId];
+  update(updates) {
+    publish(SESSION_EVENTS.MEAL_PLAN_UPDATE, { updates });
+    return this.get();
+  },
 
-    // Add new vote if it's not neutral
-    if (voteType !== "neutral") {
-      userVotes[recipeId] = voteType;
+  assign(slot, recipeId) {
+    // Pin the calendar, so the slots don't move with today's date
+    if (!storage.get(STORAGE_KEYS.MEAL_PLAN)?.startDate) {
+      const { startDate, days, meals } = this.get();
+      this.update({ startDate, days, meals });
     }
 
-    votes[userId] = userVotes;
-    storage.set(STORAGE_KEYS.VOTES, votes);
+    const user = UserStorage.get();
+    const entry = recipeId
+      ? { recipeId, assignedBy: user?.name || null, cookedAt: null }
+      : null;
+    publish(SESSION_EVENTS.MEAL_SLOT_SET, { slot, entry });
+    return this.get();
+  },
 
-    // Update recipe vote count
-    this.updateRecipeVoteCounts();
+  markCooked(slot) {
+    const entry = this.get().slots[slot];
+    if (!entry) return null;
 
-    return votes;
+    publish(SESSION_EVENTS.MEAL_SLOT_SET, {
+      slot,
+      entry: { ...entry, cookedAt: Date.now() },
+    });
+    return this.get();
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.MEAL_PLAN);
+    SyncStorage.reset();
+  },
+};
+
+/**
+ * Vote Management
+ */
+export const VoteStorage = {
+  get() {
+    return storage.get(STORAGE_KEYS.VOTES) || {};
+  },
+
+  vote(recipeId, userId, voteType) {
+    publish(SESSION_EVENTS.VOTE_CAST, { recipeId, userId, voteType });
+    return this.get();
   },
 
   updateRecipeVoteCounts() {
@@ -440,12 +1019,745 @@ export const VoteStorage = {
 
   clear() {
     storage.remove(STORAGE_KEYS.VOTES);
+    SyncStorage.reset();
+  },
+};
+
+/**
+ * Generation Ledger
+ * Every recipe generation in the session, whoever's key paid for it; the host's
+ * quotas and budget are checked against it (see generation-policy.js)
+ */
+export const GenerationStorage = {
+  get() {
+    return storage.get(STORAGE_KEYS.GENERATIONS) || [];
+  },
+
+  set(generations) {
+    storage.set(STORAGE_KEYS.GENERATIONS, generations);
+  },
+
+  request(generation) {
+    const newGeneration = {
+      id: generateId(),
+      ...generation,
+      requestedAt: Date.now(),
+    };
+    publish(SESSION_EVENTS.GENERATION_REQUEST, { generation: newGeneration });
+    return newGeneration;
+  },
+
+  update(generationId, updates) {
+    if (!this.get().some((g) => g.id === generationId)) return null;
+
+    publish(SESSION_EVENTS.GENERATION_UPDATE, {
+      generationId,
+      updates: { ...updates, updatedAt: Date.now() },
+    });
+    return this.get().find((g) => g.id === generationId);
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.GENERATIONS);
+    SyncStorage.reset();
   },
 };
 
+// Calls kept in this browser's own history
+const USAGE_HISTORY_LIMIT = 1000;
+
 /**
- * Clear all app data
+ * Token Usage
+ * Every call to the model API: the session's calls are shared with everyone,
+ * this browser's calls are also kept in a local history across sessions
+ */
+export const UsageStorage = {
+  // Calls made in the current session, by anyone
+  get() {
+    return storage.get(STORAGE_KEYS.USAGE) || [];
+  },
+
+  set(calls) {
+    storage.set(STORAGE_KEYS.USAGE, calls);
+  },
+
+  // Calls made from this browser, in any session
+  getHistory() {
+    return storage.get(STORAGE_KEYS.USAGE_HISTORY) || [];
+  },
+
+  record(call) {
+    const user = UserStorage.get();
+    const session = SessionStorage.get();
+    const newCall = {
+      id: generateId(),
+      userId: user?.id || null,
+      userName: user?.name || null,
+      sessionId: session?.id || null,
+      ...call,
+      at: Date.now(),
+    };
+
+    const history = [...this.getHistory(), newCall];
+    storage.set(
+      STORAGE_KEYS.USAGE_HISTORY,
+      history.slice(-USAGE_HISTORY_LIMIT)
+    );
+
+    if (session) publish(SESSION_EVENTS.USAGE_RECORD, { call: newCall });
+    return newCall;
+  },
+
+  clearHistory() {
+    storage.remove(STORAGE_KEYS.USAGE_HISTORY);
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.USAGE);
+    SyncStorage.reset();
+  },
+};
+
+/**
+ * Model Prices
+ * The user's own prices, in dollars per million tokens, overriding the
+ * defaults in providers.js
+ */
+export const PriceStorage = {
+  get() {
+    return storage.get(STORAGE_KEYS.PRICES) || {};
+  },
+
+  set(model, price) {
+    const prices = { ...this.get(), [model]: price };
+    storage.set(STORAGE_KEYS.PRICES, prices);
+    return prices;
+  },
+
+  reset(model) {
+    const { [model]: removed, ...prices } = this.get();
+    storage.set(STORAGE_KEYS.PRICES, prices);
+    return prices;
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.PRICES);
+  },
+};
+
+/**
+ * Cook Mode Progress
+ * The recipe being cooked in this browser, its step, the ingredients checked
+ * off and the timers running, so a reload or a sleeping phone loses nothing
+ */
+export const CookModeStorage = {
+  get() {
+    return storage.get(STORAGE_KEYS.COOK_MODE);
+  },
+
+  set(state) {
+    storage.set(STORAGE_KEYS.COOK_MODE, state);
+    return state;
+  },
+
+  update(updates) {
+    const state = this.get();
+    if (!state) return null;
+    return this.set({ ...state, ...updates });
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.COOK_MODE);
+  },
+};
+
+/**
+ * Cookbook
+ * Recipes this browser saved to keep after their session is gone. Not part
+ * of any session, so ending one or clearing the app data leaves it alone
+ */
+export const CookbookStorage = {
+  // [{ id, ...recipe fields, source, tags, notes, rating, cookedCount,
+  // lastCookedAt, savedAt, updatedAt }] (see cookbook.js)
+  get() {
+    return storage.get(STORAGE_KEYS.COOKBOOK) || [];
+  },
+
+  set(entries) {
+    storage.set(STORAGE_KEYS.COOKBOOK, entries);
+  },
+
+  // The saved copy of a session recipe, if there is one
+  findBySource(recipeId) {
+    return this.get().find((entry) => entry.source?.recipeId === recipeId);
+  },
+
+  // Saving a recipe twice keeps the first copy and its notes
+  save(recipe, options = {}) {
+    const saved = this.findBySource(recipe.id);
+    if (saved) return saved;
+
+    const entry = {
+      id: generateId(),
+      ...createCookbookEntry(recipe, options),
+      savedAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    this.set([...this.get(), entry]);
+    return entry;
+  },
+
+  update(entryId, updates) {
+    const entries = this.get();
+    const index = entries.findIndex((entry) => entry.id === entryId);
+    if (index === -1) return null;
+
+    const changes = { ...updates };
+    if ("tags" in changes) changes.tags = parseTags(changes.tags);
+    if ("rating" in changes) changes.rating = clampRating(changes.rating);
+
+    entries[index] = { ...entries[index], ...changes, updatedAt: Date.now() };
+    this.set(entries);
+    return entries[index];
+  },
+
+  markCooked(entryId) {
+    const entry = this.get().find((e) => e.id === entryId);
+    if (!entry) return null;
+
+    return this.update(entryId, {
+      cookedCount: (entry.cookedCount || 0) + 1,
+      lastCookedAt: Date.now(),
+    });
+  },
+
+  remove(entryId) {
+    this.set(this.get().filter((entry) => entry.id !== entryId));
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.COOKBOOK);
+  },
+};
+
+/**
+ * Session History
+ * Every session this browser has data for, with enough about each to tell
+ * them apart and switch between them. Each session's data is kept under its
+ * own keys (see LocalStorageAdapter)
+ */
+export const SessionHistoryStorage = {
+  // [{ code, hostName, userName, isHost, participantCount, recipeCount,
+  // ingredientCount, createdAt, lastActivity }], most recent first
+  get() {
+    return (storage.get(STORAGE_KEYS.SESSION_HISTORY) || []).sort(
+      (a, b) => b.lastActivity - a.lastActivity
+    );
+  },
+
+  // Note the current session as it is now
+  record() {
+    // Not SessionStorage.get(), so an expired session is still history
+    const session = storage.get(STORAGE_KEYS.SESSION);
+    if (!session) return null;
+
+    const user = UserStorage.get();
+    const entry = {
+      code: session.id,
+      hostName: session.hostName,
+      userName: user?.name || null,
+      isHost: Boolean(user) && user.id === session.hostId,
+      participantCount: session.participants.length,
+      recipeCount: RecipeStorage.get().length,
+      ingredientCount: IngredientsStorage.get().length,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+    };
+    storage.set(STORAGE_KEYS.SESSION_HISTORY, [
+      entry,
+      ...this.get().filter((e) => e.code !== entry.code),
+    ]);
+    return entry;
+  },
+
+  remove(code) {
+    storage.set(
+      STORAGE_KEYS.SESSION_HISTORY,
+      this.get().filter((entry) => entry.code !== code)
+    );
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.SESSION_HISTORY);
+  },
+};
+
+/**
+ * Shopping List
+ * The recipes the session is shopping for and the items ticked off; the items
+ * themselves are worked out from the recipes and the pantry (shopping-list.js)
+ */
+export const ShoppingListStorage = {
+  // { id, recipeIds, fromPlan, createdBy, createdAt, checked }, where
+  // checked is { [itemKey]: true }
+  get() {
+    return storage.get(STORAGE_KEYS.SHOPPING_LIST);
+  },
+
+  // recipeIds may repeat a recipe cooked more than once (fromPlan)
+  create(recipeIds, { fromPlan = false } = {}) {
+    const user = UserStorage.get();
+    const list = {
+      id: generateId(),
+      recipeIds,
+      fromPlan,
+      createdBy: user?.name || null,
+      createdAt: Date.now(),
+    };
+    publish(SESSION_EVENTS.SHOPPING_LIST_SET, { list });
+    return this.get();
+  },
+
+  check(itemKey, checked) {
+    const list = this.get();
+    if (!list) return null;
+
+    publish(SESSION_EVENTS.SHOPPING_ITEM_CHECK, {
+      listId: list.id,
+      itemKey,
+      checked,
+    });
+    return this.get();
+  },
+
+  remove() {
+    publish(SESSION_EVENTS.SHOPPING_LIST_SET, { list: null });
+  },
+
+  clear() {
+    storage.remove(STORAGE_KEYS.SHOPPING_LIST);
+    SyncStorage.reset();
+  },
+};
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isId(value) {
+  return typeof value === "string" && value.length > 0;
+}
+
+function hasId(value) {
+  return isObject(value) && isId(value.id);
+}
+
+/**
+ * Payload checks: what each session event has to carry for its reducer
+ * Events come from other participants, so nothing about them is trusted
+ */
+const eventPayloadChecks = {
+  [SESSION_EVENTS.INGREDIENT_ADD]: ({ ingredient }) => hasId(ingredient),
+  [SESSION_EVENTS.INGREDIENT_UPDATE]: ({ ingredientId, updates }) =>
+    isId(ingredientId) && isObject(updates),
+  [SESSION_EVENTS.INGREDIENT_REMOVE]: ({ ingredientId }) => isId(ingredientId),
+  [SESSION_EVENTS.BLACKLIST_ADD]: ({ ingredient }) => isId(ingredient),
+  [SESSION_EVENTS.BLACKLIST_REMOVE]: ({ ingredient }) => isId(ingredient),
+  [SESSION_EVENTS.CONTEXT_SET]: ({ context }) => typeof context === "string",
+  [SESSION_EVENTS.RECIPE_ADD]: ({ recipe }) => hasId(recipe),
+  [SESSION_EVENTS.RECIPE_UPDATE]: ({ recipeId, updates }) =>
+    isId(recipeId) && isObject(updates),
+  [SESSION_EVENTS.RECIPE_REMOVE]: ({ recipeId }) => isId(recipeId),
+  [SESSION_EVENTS.MEAL_PLAN_UPDATE]: ({ updates }) => isObject(updates),
+  [SESSION_EVENTS.MEAL_SLOT_SET]: ({ slot, entry }) =>
+    isId(slot) && (entry === null || isObject(entry)),
+  [SESSION_EVENTS.VOTE_CAST]: ({ recipeId, userId, voteType }) =>
+    isId(recipeId) && isId(userId) && isId(voteType),
+  [SESSION_EVENTS.GENERATION_REQUEST]: ({ generation }) => hasId(generation),
+  [SESSION_EVENTS.GENERATION_UPDATE]: ({ generationId, updates }) =>
+    isId(generationId) && isObject(updates),
+  [SESSION_EVENTS.USAGE_RECORD]: ({ call }) => hasId(call),
+  [SESSION_EVENTS.SHOPPING_LIST_SET]: ({ list }) =>
+    list === null || hasId(list),
+  [SESSION_EVENTS.SHOPPING_ITEM_CHECK]: ({ listId, itemKey, checked }) =>
+    isId(listId) && isId(itemKey) && typeof checked === "boolean",
+  [SESSION_EVENTS.PARTICIPANT_JOIN]: ({ participant }) => hasId(participant),
+  [SESSION_EVENTS.PARTICIPANT_UPDATE]: ({ participantId, updates }) =>
+    isId(participantId) && isObject(updates),
+  [SESSION_EVENTS.PARTICIPANT_LEAVE]: ({ participantId }) =>
+    isId(participantId),
+  [SESSION_EVENTS.SESSION_UPDATE]: ({ updates }) => isObject(updates),
+  [SESSION_EVENTS.SESSION_END]: () => true,
+};
+
+/**
+ * Event reducers: how each session event changes the merge metadata
+ * Each returns the views that need rebuilding
+ */
+const eventReducers = {
+  [SESSION_EVENTS.INGREDIENT_ADD](sync, { ingredient }, stamp) {
+    sync.ingredients = addToSet(
+      sync.ingredients,
+      ingredient.id,
+      ingredient,
+      stamp
+    );
+    return ["ingredients"];
+  },
+
+  [SESSION_EVENTS.INGREDIENT_UPDATE](sync, { ingredientId, updates }, stamp) {
+    sync.ingredients = updateInSet(
+      sync.ingredients,
+      ingredientId,
+      updates,
+      stamp
+    );
+    return ["ingredients"];
+  },
+
+  [SESSION_EVENTS.INGREDIENT_REMOVE](sync, { ingredientId }, stamp) {
+    sync.ingredients = removeFromSet(sync.ingredients, ingredientId, stamp);
+    return ["ingredients"];
+  },
+
+  [SESSION_EVENTS.BLACKLIST_ADD](sync, { ingredient }, stamp) {
+    sync.blacklist = addToSet(
+      sync.blacklist,
+      ingredient,
+      { name: ingredient },
+      stamp
+    );
+    return ["blacklist"];
+  },
+
+  [SESSION_EVENTS.BLACKLIST_REMOVE](sync, { ingredient }, stamp) {
+    sync.blacklist = removeFromSet(sync.blacklist, ingredient, stamp);
+    return ["blacklist"];
+  },
+
+  [SESSION_EVENTS.CONTEXT_SET](sync, { context }, stamp) {
+    sync.context = assignRegister(sync.context, context, stamp);
+    return ["context"];
+  },
+
+  [SESSION_EVENTS.RECIPE_ADD](sync, { recipe }, stamp) {
+    sync.recipes = addToSet(sync.recipes, recipe.id, recipe, stamp);
+    return ["recipes"];
+  },
+
+  [SESSION_EVENTS.RECIPE_UPDATE](sync, { recipeId, updates }, stamp) {
+    sync.recipes = updateInSet(sync.recipes, recipeId, updates, stamp);
+    return ["recipes"];
+  },
+
+  [SESSION_EVENTS.RECIPE_REMOVE](sync, { recipeId }, stamp) {
+    sync.recipes = removeFromSet(sync.recipes, recipeId, stamp);
+    return ["recipes"];
+  },
+
+  [SESSION_EVENTS.MEAL_PLAN_UPDATE](sync, { updates }, stamp) {
+    sync.mealPlan = assignFields(sync.mealPlan, updates, stamp);
+    return ["mealPlan"];
+  },
+
+  [SESSION_EVENTS.MEAL_SLOT_SET](sync, { slot, entry }, stamp) {
+    sync.mealSlots = assignFields(sync.mealSlots, { [slot]: entry }, stamp);
+    return ["mealPlan"];
+  },
+
+  [SESSION_EVENTS.VOTE_CAST](sync, { recipeId, userId, voteType }, stamp) {
+    sync.votes = assignFields(
+      sync.votes,
+      { [voteKey(userId, recipeId)]: voteType },
+      stamp
+    );
+    return ["votes"];
+  },
+
+  [SESSION_EVENTS.GENERATION_REQUEST](sync, { generation }, stamp) {
+    sync.generations = addToSet(
+      sync.generations,
+      generation.id,
+      generation,
+      stamp
+    );
+    return ["generations"];
+  },
+
+  [SESSION_EVENTS.GENERATION_UPDATE](
+    sync,
+    { generationId, updates },
+    stamp
+  ) {
+    sync.generations = updateInSet(
+      sync.generations,
+      generationId,
+      updates,
+      stamp
+    );
+    return ["generations"];
+  },
+
+  [SESSION_EVENTS.USAGE_RECORD](sync, { call }, stamp) {
+    sync.usage = addToSet(sync.usage, call.id, call, stamp);
+    return ["usage"];
+  },
+
+  [SESSION_EVENTS.SHOPPING_LIST_SET](sync, { list }, stamp) {
+    sync.shoppingList = assignRegister(sync.shoppingList, list, stamp);
+    return ["shoppingList"];
+  },
+
+  [SESSION_EVENTS.SHOPPING_ITEM_CHECK](
+    sync,
+    { listId, itemKey, checked },
+    stamp
+  ) {
+    sync.shoppingChecks = assignFields(
+      sync.shoppingChecks,
+      { [shoppingCheckKey(listId, itemKey)]: checked },
+      stamp
+    );
+    return ["shoppingList"];
+  },
+
+  [SESSION_EVENTS.PARTICIPANT_JOIN](sync, { participant }, stamp) {
+    sync.participants = addToSet(
+      sync.participants,
+      participant.id,
+      participant,
+      stamp
+    );
+    return ["session"];
+  },
+
+  [SESSION_EVENTS.PARTICIPANT_UPDATE](
+    sync,
+    { participantId, updates },
+    stamp
+  ) {
+    sync.participants = updateInSet(
+      sync.participants,
+      participantId,
+      updates,
+      stamp
+    );
+    return ["session"];
+  },
+
+  [SESSION_EVENTS.PARTICIPANT_LEAVE](sync, { participantId }, stamp) {
+    sync.participants = removeFromSet(sync.participants, participantId, stamp);
+    return ["session"];
+  },
+
+  [SESSION_EVENTS.SESSION_UPDATE](sync, { updates }, stamp) {
+    sync.session = assignFields(sync.session, updates, stamp);
+    return ["session"];
+  },
+
+  [SESSION_EVENTS.SESSION_END](sync) {
+    Object.assign(sync, createSyncState(), { clock: sync.clock });
+    return Object.keys(syncViews);
+  },
+};
+
+/**
+ * The session as merge metadata describes it, or null once it has ended
+ */
+function readSyncSession(sync) {
+  if (Object.keys(sync.session).length === 0) return null;
+  return {
+    ...readFields(sync.session),
+    participants: readSet(sync.participants),
+  };
+}
+
+/**
+ * Views: the plain values the stores read, rebuilt from the merge metadata
+ */
+const syncViews = {
+  session(sync) {
+    const session = readSyncSession(sync);
+    if (!session) {
+      storage.remove(STORAGE_KEYS.SESSION);
+      return;
+    }
+
+    const previous = storage.get(STORAGE_KEYS.SESSION);
+
+    // touch() keeps lastActivity fresh locally without publishing
+    if (previous?.lastActivity > session.lastActivity) {
+      session.lastActivity = previous.lastActivity;
+    }
+    storage.set(STORAGE_KEYS.SESSION, session);
+  },
+
+  ingredients(sync) {
+    IngredientsStorage.set(readSet(sync.ingredients));
+  },
+
+  blacklist(sync) {
+    BlacklistStorage.set(readSet(sync.blacklist).map((item) => item.name));
+  },
+
+  context(sync) {
+    storage.set(STORAGE_KEYS.CONTEXT, sync.context?.value || "");
+  },
+
+  recipes(sync) {
+    // Validity is derived locally from the ingredients, keep what we had
+    const previous = new Map(RecipeStorage.get().map((r) => [r.id, r]));
+    const recipes = readSet(sync.recipes).map((recipe) => ({
+      ...recipe,
+      isValid: previous.get(recipe.id)?.isValid ?? recipe.isValid,
+    }));
+    RecipeStorage.set(recipes);
+    VoteStorage.updateRecipeVoteCounts();
+  },
+
+  mealPlan(sync) {
+    const fields = readFields(sync.mealPlan);
+    const slots = Object.fromEntries(
+      Object.entries(readFields(sync.mealSlots)).filter(([, entry]) => entry)
+    );
+    if (Object.keys(fields).length === 0 && Object.keys(slots).length === 0) {
+      storage.remove(STORAGE_KEYS.MEAL_PLAN);
+      return;
+    }
+    storage.set(STORAGE_KEYS.MEAL_PLAN, { ...fields, slots });
+  },
+
+  votes(sync) {
+    const votes = {};
+    Object.entries(readFields(sync.votes)).forEach(([key, voteType]) => {
+      if (voteType === "neutral") return;
+
+      const [userId, recipeId] = key.split("/");
+      votes[userId] = { ...votes[userId], [recipeId]: voteType };
+    });
+    storage.set(STORAGE_KEYS.VOTES, votes);
+    VoteStorage.updateRecipeVoteCounts();
+  },
+
+  generations(sync) {
+    GenerationStorage.set(readSet(sync.generations));
+  },
+
+  usage(sync) {
+    UsageStorage.set(readSet(sync.usage));
+  },
+
+  shoppingList(sync) {
+    const list = sync.shoppingList?.value;
+    if (!list) {
+      storage.remove(STORAGE_KEYS.SHOPPING_LIST);
+      return;
+    }
+
+    const prefix = shoppingCheckKey(list.id, "");
+    const checked = {};
+    Object.entries(readFields(sync.shoppingChecks)).forEach(([key, value]) => {
+      if (value && key.startsWith(prefix)) {
+        checked[key.slice(prefix.length)] = true;
+      }
+    });
+    storage.set(STORAGE_KEYS.SHOPPING_LIST, { ...list, checked });
+  },
+};
+
+/**
+ * Clear all app data, except this browser's usage history, prices and
+ * cookbook. On a session's storage only that session's data is cleared;
+ * either way the session leaves the history
  */
 export function clearAllData() {
+  const history = UsageStorage.getHistory();
+  const prices = PriceStorage.get();
+  const cookbook = CookbookStorage.get();
+  const session = storage.get(STORAGE_KEYS.SESSION);
+  const sessions = SessionHistoryStorage.get().filter(
+    (entry) => entry.code !== session?.id
+  );
+
   storage.clear();
+
+  if (history.length > 0) storage.set(STORAGE_KEYS.USAGE_HISTORY, history);
+  if (Object.keys(prices).length > 0) storage.set(STORAGE_KEYS.PRICES, prices);
+  if (cookbook.length > 0) storage.set(STORAGE_KEYS.COOKBOOK, cookbook);
+  storage.set(STORAGE_KEYS.SESSION_HISTORY, sessions);
+}
+
+/**
+ * Export the shared state of the current session
+ */
+export function exportSessionState() {
+  const values = {
+    [STORAGE_KEYS.SESSION]: SessionStorage.get(),
+    [STORAGE_KEYS.INGREDIENTS]: IngredientsStorage.get(),
+    [STORAGE_KEYS.BLACKLIST]: BlacklistStorage.get(),
+    [STORAGE_KEYS.CONTEXT]: ContextStorage.get(),
+    [STORAGE_KEYS.RECIPES]: RecipeStorage.get(),
+    [STORAGE_KEYS.MEAL_PLAN]: storage.get(STORAGE_KEYS.MEAL_PLAN),
+    [STORAGE_KEYS.VOTES]: VoteStorage.get(),
+    [STORAGE_KEYS.GENERATIONS]: GenerationStorage.get(),
+    [STORAGE_KEYS.USAGE]: UsageStorage.get(),
+    [STORAGE_KEYS.SHOPPING_LIST]: ShoppingListStorage.get(),
+    [STORAGE_KEYS.SYNC]: SyncStorage.get(),
+  };
+  return Object.fromEntries(
+    SHARED_STORAGE_KEYS.map((key) => [SHARED_STATE_FIELDS[key], values[key]])
+  );
 }
+
+/**
+ * Replace the shared state of the current session (e.g. when joining a session)
+ */
+export function importSessionState(state) {
+  const value = (key) => state[SHARED_STATE_FIELDS[key]];
+
+  if (value(STORAGE_KEYS.SESSION)) {
+    storage.set(STORAGE_KEYS.SESSION, value(STORAGE_KEYS.SESSION));
+  }
+  IngredientsStorage.set(value(STORAGE_KEYS.INGREDIENTS) || []);
+  BlacklistStorage.set(value(STORAGE_KEYS.BLACKLIST) || []);
+  storage.set(STORAGE_KEYS.CONTEXT, value(STORAGE_KEYS.CONTEXT) || "");
+  RecipeStorage.set(value(STORAGE_KEYS.RECIPES) || []);
+  if (value(STORAGE_KEYS.MEAL_PLAN)) {
+    storage.set(STORAGE_KEYS.MEAL_PLAN, value(STORAGE_KEYS.MEAL_PLAN));
+  } else {
+    storage.remove(STORAGE_KEYS.MEAL_PLAN);
+  }
+  storage.set(STORAGE_KEYS.VOTES, value(STORAGE_KEYS.VOTES) || {});
+  GenerationStorage.set(value(STORAGE_KEYS.GENERATIONS) || []);
+  UsageStorage.set(value(STORAGE_KEYS.USAGE) || []);
+  if (value(STORAGE_KEYS.SHOPPING_LIST)) {
+    storage.set(STORAGE_KEYS.SHOPPING_LIST, value(STORAGE_KEYS.SHOPPING_LIST));
+  } else {
+    storage.remove(STORAGE_KEYS.SHOPPING_LIST);
+  }
+
+  if (value(STORAGE_KEYS.SYNC)) {
+    SyncStorage.set(value(STORAGE_KEYS.SYNC));
+  } else {
+    SyncStorage.reset();
+  }
+}
+
+/**
+ * Move a session saved before sessions had their own keys under its code
+ */
+function moveUnscopedSession() {
+  const unscoped = new LocalStorageAdapter();
+  const session = unscoped.available && unscoped.get(STORAGE_KEYS.SESSION);
+  if (!session) return;
+
+  const scoped = new LocalStorageAdapter({ namespace: session.id });
+  SESSION_SCOPED_KEYS.forEach((key) => {
+    const value = unscoped.get(key);
+    if (value !== null && scoped.get(key) === null) scoped.set(key, value);
+    unscoped.remove(key);
+  });
+  withStorageAdapter(scoped, () => SessionHistoryStorage.record());
+}
+
+moveUnscopedSession();
@@ -0,0 +1,208 @@
+/**
+ * Token and cost accounting for Pantry Party
+ * Turns the usage blocks recorded for every model call into totals per
+ * participant and per model, priced with an editable table
+ */
+
+import { PROVIDERS } from "./providers.js";
+
+// Assumed size of a recipe call until real usage has been recorded
+export const DEFAULT_RECIPE_TOKENS = {
+  promptTokens: 700,
+  completionTokens: 800,
+};
+
+// Rough token count for servers that don't report usage
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Convert an API usage block ({ prompt_tokens, completion_tokens, ... })
+ */
+export function normalizeUsage(usage) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+    estimated: false,
+  };
+}
+
+/**
+ * Guess the usage of a call from the length of its text
+ */
+export function estimateUsage(promptText, completionText) {
+  const promptTokens = Math.ceil(promptText.length / CHARS_PER_TOKEN);
+  const completionTokens = Math.ceil(completionText.length / CHARS_PER_TOKEN);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: true,
+  };
+}
+
+/**
+ * Add usage blocks together
+ */
+export function addUsage(...usages) {
+  return usages.reduce(
+    (total, usage) => ({
+      promptTokens: total.promptTokens + (usage?.promptTokens || 0),
+      completionTokens: total.completionTokens + (usage?.completionTokens || 0),
+      totalTokens: total.totalTokens + (usage?.totalTokens || 0),
+      estimated: total.estimated || Boolean(usage?.estimated),
+    }),
+    { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false }
+  );
+}
+
+/**
+ * Default prices of every known model, overridden by the user's own
+ * Returns { [model]: { input, output } } in dollars per million tokens
+ */
+export function getPriceTable(overrides = {}) {
+  const prices = {};
+  Object.values(PROVIDERS).forEach((provider) => {
+    provider.models.forEach((model) => {
+      if (model.price) prices[model.id] = model.price;
+    });
+  });
+  return { ...prices, ...overrides };
+}
+
+/**
+ * Dollar cost of some usage, or null if the model's price is unknown
+ */
+export function costOfUsage(usage, model, prices = getPriceTable()) {
+  const price = prices[model];
+  if (!price) return null;
+
+  return (
+    (usage.promptTokens * price.input + usage.completionTokens * price.output) /
+    1000000
+  );
+}
+
+/**
+ * Average usage of recipe calls to a model, for estimating the next one
+ */
+export function averageRecipeUsage(calls, model) {
+  const recipeCalls = calls.filter(
+    (call) => call.kind === "recipe" && call.model === model
+  );
+  if (recipeCalls.length === 0) return DEFAULT_RECIPE_TOKENS;
+
+  const total = addUsage(...recipeCalls);
+  return {
+    promptTokens: total.promptTokens / recipeCalls.length,
+    completionTokens: total.completionTokens / recipeCalls.length,
+  };
+}
+
+/**
+ * Estimated cost of the next recipe call to a model, or null if the model's
+ * price is unknown
+ */
+export function estimateRecipeCost(calls, model, prices = getPriceTable()) {
+  return costOfUsage(averageRecipeUsage(calls, model), model, prices);
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedCalls: 0,
+  };
+}
+
+function addCall(totals, call, prices) {
+  const cost = costOfUsage(call, call.model, prices);
+  totals.calls += 1;
+  // Records come from other participants, so count only numbers
+  totals.promptTokens += Number(call.promptTokens) || 0;
+  totals.completionTokens += Number(call.completionTokens) || 0;
+  totals.totalTokens += Number(call.totalTokens) || 0;
+  if (cost === null) totals.unpricedCalls += 1;
+  else totals.cost += cost;
+}
+
+/**
+ * Totals for a list of calls, overall and per participant
+ * Returns { total, byUser: [{ userId, userName, ...totals }], models }
+ */
+export function summarizeUsage(calls, prices = getPriceTable()) {
+  const total = emptyTotals();
+  const byUser = new Map();
+
+  calls.forEach((call) => {
+    addCall(total, call, prices);
+
+    if (!byUser.has(call.userId)) {
+      byUser.set(call.userId, {
+        userId: call.userId,
+        userName: call.userName || "Unknown",
+        ...emptyTotals(),
+      });
+    }
+    addCall(byUser.get(call.userId), call, prices);
+  });
+
+  return {
+    total,
+    byUser: [...byUser.values()].sort((a, b) => b.cost - a.cost),
+    models: [...new Set(calls.map((call) => call.model).filter(Boolean))],
+  };
+}
+
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Names and models come from other participants; a spreadsheet would run
+  // a cell such as "=HYPERLINK(...)" as a formula
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per call, with its cost at the current prices
+ */
+export function usageToCsv(calls, prices = getPriceTable()) {
+  const header = [
+    "time",
+    "session",
+    "participant",
+    "kind",
+    "provider",
+    "model",
+    "prompt_tokens",
+    "completion_tokens",
+    "total_tokens",
+    "estimated_tokens",
+    "cost_usd",
+  ];
+
+  const rows = calls.map((call) => {
+    const cost = costOfUsage(call, call.model, prices);
+    return [
+      new Date(call.at).toISOString(),
+      call.sessionId,
+      call.userName,
+      call.kind,
+      call.provider,
+      call.model,
+      call.promptTokens,
+      call.completionTokens,
+      call.totalTokens,
+      call.estimated ? "yes" : "no",
+      cost === null ? "" : cost.toFixed(6),
+    ];
+  });
+
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+}
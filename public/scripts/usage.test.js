@@ -0,0 +1,39 @@
+/**
+ * Exporting usage to CSV, with cells other participants wrote
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { usageToCsv } from "./usage.js";
+
+const call = {
+  at: 1760000000000,
+  sessionId: "ABC123",
+  userName: "Alice",
+  kind: "recipe",
+  provider: "openai",
+  model: "gpt-4o-mini",
+  promptTokens: 700,
+  completionTokens: 800,
+  totalTokens: 1500,
+  estimated: false,
+};
+
+function row(csv) {
+  return csv.split("\n")[1].split(",");
+}
+
+test("a name or model that looks like a formula is exported as text", () => {
+  const csv = usageToCsv([
+    { ...call, userName: "=HYPERLINK(1)", model: "@SUM(A1)" },
+  ]);
+  assert.equal(row(csv)[2], "'=HYPERLINK(1)");
+  assert.equal(row(csv)[5], "'@SUM(A1)");
+
+  assert.equal(row(usageToCsv([{ ...call, userName: "-1+2" }]))[2], "'-1+2");
+});
+
+test("numbers are exported as they are", () => {
+  const cells = row(usageToCsv([{ ...call, totalTokens: -1 }], {}));
+  assert.deepEqual(cells.slice(6, 11), ["700", "800", "-1", "no", ""]);
+});
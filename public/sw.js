@@ -1,10 +1,35 @@
-const CACHE_NAME = "pantry-party-v1.0.0";
+const CACHE_NAME = "pantry-party-v1.25.2";
 const CACHE_ASSETS = [
   "/",
   "/session",
+  "/cookbook",
   "/styles/global.css",
   "/scripts/storage.js",
   "/scripts/openai.js",
+  "/scripts/crdt.js",
+  "/scripts/realtime.js",
+  "/scripts/remote-storage.js",
+  "/scripts/ingredients.js",
+  "/scripts/ingredient-parser.js",
+  "/scripts/ingredient-dictionary.js",
+  "/scripts/ingredient-matcher.js",
+  "/scripts/dietary.js",
+  "/scripts/partial-json.js",
+  "/scripts/providers.js",
+  "/scripts/recipe-schema.js",
+  "/scripts/generation-policy.js",
+  "/scripts/generation-queue.js",
+  "/scripts/usage.js",
+  "/scripts/recipe-versions.js",
+  "/scripts/recipe-diversity.js",
+  "/scripts/recipe-units.js",
+  "/scripts/cook-timers.js",
+  "/scripts/shopping-list.js",
+  "/scripts/meal-plan.js",
+  "/scripts/cookbook.js",
+  "/scripts/recipe-formats.js",
+  "/scripts/session-snapshot.js",
+  "/scripts/api-key.js",
   "/manifest.json",
 ];
 
@@ -54,9 +79,17 @@ self.addEventListener("fetch", (event) => {
     return;
   }
 
+  // Skip session API requests - session state must always be fresh
+  if (new URL(event.request.url).pathname.startsWith("/api/")) {
+    return;
+  }
+
+  // Pages are cached without their query ("/session?code=..." is "/session")
+  const isNavigation = event.request.mode === "navigate";
+
   event.respondWith(
     caches
-      .match(event.request)
+      .match(event.request, { ignoreSearch: isNavigation })
       .then((response) => {
         // Return cached version or fetch from network
         return (
@@ -80,9 +113,23 @@ self.addEventListener("fetch", (event) => {
       })
       .catch(() => {
         // Offline fallback for navigation requests
-        if (event.request.mode === "navigate") {
+        if (isNavigation) {
           return caches.match("/");
         }
       })
   );
 });
+
+// Notification click - bring the app back, e.g. for a finished cooking timer
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((clients) => {
+        const client = clients.find((c) => "focus" in c);
+        return client ? client.focus() : self.clients.openWindow("/session");
+      })
+  );
+});
@@ -0,0 +1,14 @@
+/**
+ * Production entry point for Pantry Party
+ * Starts the @astrojs/node standalone server and attaches the session WebSocket
+ */
+
+import { attachSessionServer } from "./src/server/sessions.js";
+
+// Start the standalone server ourselves so we can reach its HTTP server
+process.env.ASTRO_NODE_AUTOSTART = "disabled";
+
+const { startServer } = await import("./dist/server/entry.mjs");
+const { server } = startServer();
+
+attachSessionServer(server.server);
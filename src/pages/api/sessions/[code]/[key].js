@@ -0,0 +1,39 @@
+/**
+ * Single storage key of a session
+ * GET /api/sessions/:code/:key where key is e.g. "ingredients"
+ * Changes are made with events, see events.js
+ */
+
+import {
+  FileStorageAdapter,
+  isSharedStorageKey,
+  isValidSessionCode,
+} from "../../../../server/file-storage.js";
+import { json, jsonError } from "../../../../server/responses.js";
+
+export const prerender = false;
+
+const KEY_PREFIX = "pantry_party_";
+
+/**
+ * Resolve the route params to a session store and storage key
+ */
+function resolve(params) {
+  const key = `${KEY_PREFIX}${params.key}`;
+
+  if (!isValidSessionCode(params.code)) {
+    return { error: jsonError("Invalid session code", 400) };
+  }
+  if (!isSharedStorageKey(key)) {
+    return { error: jsonError(`Unknown session key: ${params.key}`, 404) };
+  }
+
+  return { store: new FileStorageAdapter(params.code), key };
+}
+
+export function GET({ params }) {
+  const { store, key, error } = resolve(params);
+  if (error) return error;
+
+  return json({ value: store.get(key) });
+}
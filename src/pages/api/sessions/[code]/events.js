@@ -0,0 +1,77 @@
+/**
+ * Make a change to a session without a live connection
+ * POST /api/sessions/:code/events with { event } -> { state }, with the token
+ * from joining (see join.js) as "Authorization: Bearer <token>"
+ * The event goes through the same checks as one sent over the WebSocket. A
+ * refused event answers { error, state }, the state to go back in step with
+ */
+
+import {
+  FileStorageAdapter,
+  SESSION_CHANGED_EVENT,
+  isValidSessionCode,
+} from "../../../../server/file-storage.js";
+import { verifyParticipantToken } from "../../../../server/identity.js";
+import {
+  acceptSessionEvent,
+  linkAnsweredGeneration,
+} from "../../../../server/session-events.js";
+import { json, jsonError } from "../../../../server/responses.js";
+import {
+  SessionStorage,
+  withStorageAdapter,
+  exportSessionState,
+  isValidSessionEvent,
+} from "../../../../../public/scripts/storage.js";
+
+export const prerender = false;
+
+export async function POST({ params, request }) {
+  if (!isValidSessionCode(params.code)) {
+    return jsonError("Invalid session code", 400);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return jsonError("Request body must be JSON", 400);
+  }
+
+  const authorization = request.headers.get("Authorization") || "";
+  const userId = verifyParticipantToken(
+    params.code,
+    authorization.replace(/^Bearer /, "")
+  );
+  if (!userId) return jsonError("Join the session first", 401);
+
+  if (!isValidSessionEvent(body?.event)) {
+    return jsonError("Malformed session event", 400);
+  }
+
+  const store = new FileStorageAdapter(params.code);
+  const result = withStorageAdapter(store, () => {
+    if (!SessionStorage.get()) {
+      return { error: "Session not found or expired", status: 404 };
+    }
+
+    const accepted = acceptSessionEvent({ id: userId }, body.event);
+    if (accepted.error) {
+      // The sender already applied it, put them back in step
+      return { refused: accepted.error, state: exportSessionState() };
+    }
+
+    linkAnsweredGeneration(accepted.event);
+    const state = exportSessionState();
+    // Nothing is left of an ended session
+    if (!state.session) store.clear();
+    return { state };
+  });
+  if (result.error) return jsonError(result.error, result.status);
+  if (result.refused) {
+    return json({ error: result.refused, state: result.state }, 403);
+  }
+
+  process.emit(SESSION_CHANGED_EVENT, params.code);
+  return json({ state: result.state });
+}
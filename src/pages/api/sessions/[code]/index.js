@@ -0,0 +1,32 @@
+/**
+ * Shared state of a session
+ * GET /api/sessions/:code -> { session, ingredients, blacklist, context, recipes, votes }
+ */
+
+import {
+  FileStorageAdapter,
+  isValidSessionCode,
+} from "../../../../server/file-storage.js";
+import { json, jsonError } from "../../../../server/responses.js";
+import {
+  withStorageAdapter,
+  exportSessionState,
+} from "../../../../../public/scripts/storage.js";
+
+export const prerender = false;
+
+export function GET({ params }) {
+  if (!isValidSessionCode(params.code)) {
+    return jsonError("Invalid session code", 400);
+  }
+
+  const state = withStorageAdapter(new FileStorageAdapter(params.code), () =>
+    exportSessionState()
+  );
+
+  if (!state.session) {
+    return jsonError("Session not found or expired", 404);
+  }
+
+  return json(state);
+}
@@ -0,0 +1,46 @@
+/**
+ * Join a session without a live connection
+ * POST /api/sessions/:code/join with { user, token } -> { token }, where the
+ * token is what HttpStorageAdapter signs its events with
+ */
+
+import {
+  FileStorageAdapter,
+  SESSION_CHANGED_EVENT,
+  isValidSessionCode,
+} from "../../../../server/file-storage.js";
+import { admitParticipant } from "../../../../server/identity.js";
+import { json, jsonError } from "../../../../server/responses.js";
+import {
+  SessionStorage,
+  withStorageAdapter,
+} from "../../../../../public/scripts/storage.js";
+
+export const prerender = false;
+
+export async function POST({ params, request }) {
+  if (!isValidSessionCode(params.code)) {
+    return jsonError("Invalid session code", 400);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return jsonError("Request body must be JSON", 400);
+  }
+
+  if (!body?.user?.id) {
+    return jsonError("Request body must contain the user joining", 400);
+  }
+
+  const result = withStorageAdapter(new FileStorageAdapter(params.code), () =>
+    SessionStorage.get()
+      ? admitParticipant(params.code, body.user, body.token)
+      : { error: "Session not found or expired", status: 404 }
+  );
+  if (result.error) return jsonError(result.error, result.status || 403);
+
+  process.emit(SESSION_CHANGED_EVENT, params.code);
+  return json({ token: result.token });
+}
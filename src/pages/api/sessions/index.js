@@ -0,0 +1,29 @@
+/**
+ * Start a session
+ * POST /api/sessions with { hostId, code? } -> { code, hostSecret }, where
+ * code is a restored session's own code to take back if nobody holds it,
+ * and hostSecret is what the host opens the session's room with
+ */
+
+import { issueSession } from "../../../server/identity.js";
+import { json, jsonError } from "../../../server/responses.js";
+
+export const prerender = false;
+
+export async function POST({ request }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return jsonError("Request body must be JSON", 400);
+  }
+
+  if (typeof body?.hostId !== "string" || !body.hostId) {
+    return jsonError("Request body must contain the host's user id", 400);
+  }
+
+  const result = issueSession(body.hostId, body.code ?? null);
+  if (result.error) return jsonError(result.error, result.status);
+
+  return json(result, 201);
+}
@@ -0,0 +1,93 @@
+/**
+ * File-backed storage for Pantry Party sessions
+ * Implements the StorageAdapter contract from public/scripts/storage.js with one
+ * JSON file per session code, so sessions outlive browsers and server restarts
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { SHARED_STORAGE_KEYS } from "../../public/scripts/storage.js";
+
+export const DATA_DIR =
+  process.env.PANTRY_PARTY_DATA_DIR ||
+  path.join(process.cwd(), "data", "sessions");
+
+// Session codes are 6 characters, see generateSessionCode() on the homepage
+const SESSION_CODE_PATTERN = /^[A-Z0-9]{6}$/;
+
+// Emitted on `process` when a session is changed outside its WebSocket room
+export const SESSION_CHANGED_EVENT = "pantry-party:session-changed";
+
+/**
+ * Check a session code before using it in a file name
+ */
+export function isValidSessionCode(code) {
+  return SESSION_CODE_PATTERN.test(code || "");
+}
+
+/**
+ * Check that a key is part of the shared session state
+ */
+export function isSharedStorageKey(key) {
+  return SHARED_STORAGE_KEYS.includes(key);
+}
+
+export class FileStorageAdapter {
+  constructor(code) {
+    if (!isValidSessionCode(code)) {
+      throw new Error(`Invalid session code: ${code}`);
+    }
+    this.file = path.join(DATA_DIR, `${code}.json`);
+  }
+
+  // Always read from disk so every module instance sees the same data
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to read ${this.file}:`, error);
+      }
+      return {};
+    }
+  }
+
+  write(data) {
+    if (Object.keys(data).length === 0) {
+      fs.rmSync(this.file, { force: true });
+      return;
+    }
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves half a session
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data));
+    fs.renameSync(tempFile, this.file);
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  get(key) {
+    const value = this.read()[key];
+    return value === undefined ? null : value;
+  }
+
+  set(key, value) {
+    const data = this.read();
+    data[key] = value;
+    this.write(data);
+  }
+
+  remove(key) {
+    const data = this.read();
+    delete data[key];
+    this.write(data);
+  }
+
+  clear() {
+    fs.rmSync(this.file, { force: true });
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Participant identity and host authority for Pantry Party sessions
+ * The server issues every session's code with a host secret, which only the
+ * host's browser gets and proves they created it with; everyone who joins
+ * gets a token signed by the server. Host-only
+ * changes (removing participants, handing over the session, ending it and
+ * its settings) are checked against the verified user before they apply
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import {
+  DATA_DIR,
+  FileStorageAdapter,
+  isValidSessionCode,
+} from "./file-storage.js";
+import {
+  SessionStorage,
+  SESSION_EVENTS,
+} from "../../public/scripts/storage.js";
+import {
+  DEFAULT_GENERATION_POLICY,
+} from "../../public/scripts/generation-policy.js";
+
+// Hashed host secrets by session code, and who the host removed, kept apart
+// from the sessions so a code stays its host's after the session ends or
+// expires
+const HOSTS_FILE = path.join(DATA_DIR, ".hosts.json");
+
+// Session codes are 6 characters, see isValidSessionCode()
+const CODE_CHARACTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+const CODE_LENGTH = 6;
+
+// Session fields only the host may change
+const HOST_FIELDS = [
+  "hostId",
+  "hostName",
+  ...Object.keys(DEFAULT_GENERATION_POLICY),
+];
+
+// Session fields anyone may send; nobody changes the others (its code, when
+// it was created) once the session exists
+const PARTICIPANT_FIELDS = ["lastActivity"];
+
+let tokenSecret = null;
+
+/**
+ * The key tokens are signed with, made once and kept with the sessions so
+ * tokens survive a restart. PANTRY_PARTY_TOKEN_SECRET overrides it
+ */
+function getTokenSecret() {
+  if (tokenSecret) return tokenSecret;
+  if (process.env.PANTRY_PARTY_TOKEN_SECRET) {
+    tokenSecret = process.env.PANTRY_PARTY_TOKEN_SECRET;
+    return tokenSecret;
+  }
+
+  const file = path.join(DATA_DIR, ".token-secret");
+  try {
+    tokenSecret = fs.readFileSync(file, "utf8").trim();
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    tokenSecret = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(file, tokenSecret, { mode: 0o600 });
+  }
+  return tokenSecret;
+}
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", getTokenSecret())
+    .update(payload)
+    .digest("base64url");
+}
+
+function hash(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * A token saying userId joined the session with this code
+ */
+export function signParticipantToken(code, userId) {
+  const payload = Buffer.from(
+    JSON.stringify({ code, userId, issuedAt: Date.now() })
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * The user a token was signed for, or null if it isn't valid for the session
+ */
+export function verifyParticipantToken(code, token) {
+  if (typeof token !== "string") return null;
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return claims.code === code ? claims.userId : null;
+  } catch {
+    return null;
+  }
+}
+
+function readHosts() {
+  try {
+    return JSON.parse(fs.readFileSync(HOSTS_FILE, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    return {};
+  }
+}
+
+function writeHosts(hosts) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempFile = `${HOSTS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(hosts), { mode: 0o600 });
+  fs.renameSync(tempFile, HOSTS_FILE);
+}
+
+function generateSessionCode() {
+  return Array.from(
+    { length: CODE_LENGTH },
+    () => CODE_CHARACTERS[crypto.randomInt(CODE_CHARACTERS.length)]
+  ).join("");
+}
+
+function isCodeTaken(hosts, code) {
+  return Boolean(hosts[code]) || new FileStorageAdapter(code).exists();
+}
+
+/**
+ * Start a session hosted by hostId, under a new code or under the code of a
+ * restored session nobody holds. Returns { code, hostSecret } or
+ * { error, status }; the secret is only ever sent this once
+ */
+export function issueSession(hostId, requestedCode = null) {
+  if (requestedCode !== null && !isValidSessionCode(requestedCode)) {
+    return { error: "Invalid session code", status: 400 };
+  }
+
+  const hosts = readHosts();
+  if (requestedCode && isCodeTaken(hosts, requestedCode)) {
+    return {
+      error: `Session ${requestedCode} already has a host`,
+      status: 409,
+    };
+  }
+
+  let code = requestedCode;
+  while (!code || isCodeTaken(hosts, code)) code = generateSessionCode();
+
+  const hostSecret = crypto.randomBytes(32).toString("hex");
+  hosts[code] = { userId: hostId, secretHash: hash(hostSecret) };
+  writeHosts(hosts);
+  return { code, hostSecret };
+}
+
+/**
+ * Whether this server issued a session's code
+ */
+export function isIssuedSession(code) {
+  return Boolean(readHosts()[code]);
+}
+
+/**
+ * Check the host secret of whoever opens a session against the one issued
+ * with its code, for the same user
+ */
+export function checkHostSecret(code, userId, secret) {
+  if (typeof secret !== "string" || !secret) return false;
+
+  const host = readHosts()[code];
+  return Boolean(
+    host && host.userId === userId && safeEqual(host.secretHash, hash(secret))
+  );
+}
+
+/**
+ * Remember that the host removed a participant, so the token they were
+ * given doesn't let them back in
+ */
+export function recordRemoval(code, userId) {
+  const hosts = readHosts();
+  const removed = hosts[code]?.removed || [];
+  if (!hosts[code] || removed.includes(userId)) return;
+
+  hosts[code].removed = [...removed, userId];
+  writeHosts(hosts);
+}
+
+/**
+ * Let a user into the current session, adding them if they are new
+ * Someone already in the session has to show the token they were given, so
+ * nobody can join as them. Returns { token } or { error }
+ */
+export function admitParticipant(code, user, token) {
+  if (readHosts()[code]?.removed?.includes(user.id)) {
+    return { error: "The host removed you from this session" };
+  }
+
+  const session = SessionStorage.get();
+  const tokenUserId = verifyParticipantToken(code, token);
+
+  if (tokenUserId && tokenUserId !== user.id) {
+    return { error: "Your sign-in is for someone else in this session" };
+  }
+
+  const joined = session.participants.some((p) => p.id === user.id);
+  if (joined && !tokenUserId) {
+    return {
+      error: `${user.name || "This participant"} is already in the session. Join from the device you joined on, or with a new name.`,
+    };
+  }
+
+  if (!joined) {
+    SessionStorage.addParticipant(user.id, user.name, user.dietaryProfile);
+  }
+  return { token: tokenUserId ? token : signParticipantToken(code, user.id) };
+}
+
+/**
+ * The user ids in an event's payload that say who it is by
+ * The host makes recipes for others, so who asked for a recipe is only
+ * checked for everyone else
+ */
+function payloadUserIds(event, isHost) {
+  const payload = event.payload || {};
+
+  switch (event.type) {
+    case SESSION_EVENTS.VOTE_CAST:
+      return [payload.userId];
+    case SESSION_EVENTS.GENERATION_REQUEST:
+      return [payload.generation?.userId];
+    case SESSION_EVENTS.GENERATION_UPDATE:
+      return [payload.updates?.userId];
+    case SESSION_EVENTS.USAGE_RECORD:
+      return [payload.call?.userId];
+    case SESSION_EVENTS.RECIPE_ADD:
+    case SESSION_EVENTS.RECIPE_UPDATE: {
+      const recipe = payload.recipe || payload.updates || {};
+      return [
+        recipe.importedBy?.id,
+        isHost ? undefined : recipe.requestedBy?.id,
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Why a session event isn't this user's to make, or null
+ */
+export function checkSessionEvent(session, userId, event) {
+  // Joining goes through admitParticipant(), not an event
+  if (!session?.participants.some((p) => p.id === userId)) {
+    return "You are not in this session";
+  }
+
+  const isHost = session.hostId === userId;
+  const payload = event.payload || {};
+
+  const actorIds = payloadUserIds(event, isHost);
+  if (actorIds.some((id) => id !== undefined && id !== userId)) {
+    return "You can only act as yourself";
+  }
+
+  switch (event.type) {
+    case SESSION_EVENTS.SESSION_END:
+      return isHost ? null : "Only the host can end the session";
+
+    case SESSION_EVENTS.PARTICIPANT_LEAVE:
+      return isHost || payload.participantId === userId
+        ? null
+        : "Only the host can remove participants";
+
+    case SESSION_EVENTS.PARTICIPANT_JOIN:
+      return payload.participant?.id === userId
+        ? null
+        : "You can only join the session as yourself";
+
+    case SESSION_EVENTS.PARTICIPANT_UPDATE:
+      return payload.participantId === userId
+        ? null
+        : "You can only change your own profile";
+
+    case SESSION_EVENTS.SESSION_UPDATE:
+      return checkSessionUpdate(session, isHost, payload.updates || {});
+
+    default:
+      return null;
+  }
+}
+
+function checkSessionUpdate(session, isHost, updates) {
+  const fields = Object.keys(updates);
+  if (
+    fields.some(
+      (field) =>
+        !PARTICIPANT_FIELDS.includes(field) && !HOST_FIELDS.includes(field)
+    )
+  ) {
+    return "This part of the session can't be changed";
+  }
+  if (!fields.some((field) => HOST_FIELDS.includes(field))) return null;
+
+  if (!isHost) {
+    return "hostId" in updates
+      ? "Only the host can hand the session over"
+      : "Only the host can change the session settings";
+  }
+  if (
+    "hostId" in updates &&
+    !session.participants.some((p) => p.id === updates.hostId)
+  ) {
+    return "The new host has to be in the session";
+  }
+  return null;
+}
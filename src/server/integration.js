@@ -0,0 +1,19 @@
+/**
+ * Astro integration that serves the session WebSocket during `astro dev`
+ * Production builds attach the same endpoint in server.mjs
+ */
+
+import { attachSessionServer } from "./sessions.js";
+
+export default function sessionServer() {
+  return {
+    name: "pantry-party-session-server",
+    hooks: {
+      "astro:server:setup": ({ server }) => {
+        if (server.httpServer) {
+          attachSessionServer(server.httpServer);
+        }
+      },
+    },
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * Response helpers for Pantry Party API routes
+ */
+
+export function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export function jsonError(message, status) {
+  return json({ error: message }, status);
+}
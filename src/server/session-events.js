@@ -0,0 +1,274 @@
+/**
+ * What the server does with a participant's session event, whether it came
+ * over the WebSocket (sessions.js) or HTTP (POST /api/sessions/:code/events)
+ * Every event is checked against the verified user and the host's policy,
+ * given the figures the server trusts and stamped with the session's clock
+ * before it applies. Runs against the storage adapter in use, see
+ * withStorageAdapter()
+ */
+
+import {
+  SessionStorage,
+  GenerationStorage,
+  UsageStorage,
+  SESSION_EVENTS,
+  applySessionEvent,
+  isValidSessionEvent,
+  stampSessionEvent,
+} from "../../public/scripts/storage.js";
+import {
+  GENERATION_MODES,
+  GENERATION_STATUS,
+  checkGenerationAllowed,
+} from "../../public/scripts/generation-policy.js";
+import {
+  estimateRecipeCost,
+  getPriceTable,
+} from "../../public/scripts/usage.js";
+import { checkSessionEvent, recordRemoval } from "./identity.js";
+
+/**
+ * What a generation will cost, priced by the server
+ * Shared-key requests are priced by the host when they run them. A model
+ * without a known price counts as the dearest one, so naming an unknown model
+ * doesn't get around the budget
+ */
+function estimateGenerationCost(generation) {
+  if (generation.mode === GENERATION_MODES.HOST) return 0;
+
+  const prices = getPriceTable();
+  const calls = UsageStorage.get();
+  return (
+    estimateRecipeCost(calls, generation.model, prices) ??
+    Math.max(
+      0,
+      ...Object.keys(prices).map((model) =>
+        estimateRecipeCost(calls, model, prices)
+      )
+    )
+  );
+}
+
+// What the requester may change about their own generation; the host runs
+// shared-key requests and may change anything
+const REQUESTER_UPDATES = [
+  "status",
+  "error",
+  "recipeId",
+  "estimatedCost",
+  "updatedAt",
+];
+
+const FINISHED_STATUSES = [
+  GENERATION_STATUS.DONE,
+  GENERATION_STATUS.FAILED,
+  GENERATION_STATUS.CANCELLED,
+];
+
+/**
+ * Enforce the host's generation policy on the server, whatever the browser did
+ * Returns why the event is refused, or null
+ */
+function checkGenerationEvent(user, event) {
+  const session = SessionStorage.get();
+  const generations = GenerationStorage.get();
+  const isHost = session?.hostId === user.id;
+
+  if (event.type === SESSION_EVENTS.GENERATION_REQUEST) {
+    const { generation } = event.payload;
+    if (generation.userId !== user.id) {
+      return "You can only request recipes for yourself";
+    }
+    if (generations.some((g) => g.id === generation.id)) {
+      return "This recipe request was already made";
+    }
+    const startStatus =
+      generation.mode === GENERATION_MODES.HOST
+        ? GENERATION_STATUS.PENDING
+        : GENERATION_STATUS.RUNNING;
+    if (generation.status !== startStatus) {
+      return "A recipe request has to start out waiting to run";
+    }
+
+    const { allowed, reason } = checkGenerationAllowed({
+      session,
+      generations,
+      userId: user.id,
+      mode: generation.mode,
+      estimatedCost: estimateGenerationCost(generation),
+    });
+    return allowed ? null : reason;
+  }
+
+  const { generationId, updates } = event.payload;
+  const generation = generations.find((g) => g.id === generationId);
+  if (!generation || isHost) return null;
+
+  // Only the requester and the host (who runs shared-key requests) update one
+  if (generation.userId !== user.id) {
+    return "You can't change someone else's recipe request";
+  }
+  if (
+    Object.keys(updates).some((field) => !REQUESTER_UPDATES.includes(field))
+  ) {
+    return "You can only finish your own recipe request";
+  }
+  if ("status" in updates && !FINISHED_STATUSES.includes(updates.status)) {
+    return "You can only finish your own recipe request";
+  }
+  // The recipe is linked when it's added (see linkAnsweredGeneration)
+  if ("recipeId" in updates && updates.recipeId !== generation.recipeId) {
+    return "That recipe doesn't answer this request";
+  }
+  // Once its recipe is in, a request counts whatever happens to it
+  if (
+    generation.recipeId &&
+    "status" in updates &&
+    updates.status !== GENERATION_STATUS.DONE
+  ) {
+    return "This recipe request has already been answered";
+  }
+  return null;
+}
+
+/**
+ * Recipes come from the generation they answer, so nobody gets around the
+ * host's limits by adding them directly. The host may add any recipe, and
+ * everyone may import recipes that weren't generated
+ * Returns why the event is refused, or null
+ */
+function checkRecipeAdd(user, event) {
+  const { recipe } = event.payload;
+  if (SessionStorage.get()?.hostId === user.id) return null;
+
+  if (!recipe.generationId) {
+    const imported =
+      recipe.importedBy?.id === user.id && !recipe.usage && !recipe.model;
+    return imported ? null : "Recipes have to come from a recipe request";
+  }
+
+  const generation = GenerationStorage.get().find(
+    (g) => g.id === recipe.generationId
+  );
+  if (
+    !generation ||
+    generation.userId !== user.id ||
+    generation.mode !== GENERATION_MODES.OWN ||
+    generation.status !== GENERATION_STATUS.RUNNING ||
+    generation.recipeId
+  ) {
+    return "This recipe doesn't answer a recipe request of yours";
+  }
+  return null;
+}
+
+/**
+ * Why the session refuses a participant's event, or null
+ * Host-only changes need the verified user to be the host
+ */
+function checkEvent(user, event) {
+  const refused = checkSessionEvent(SessionStorage.get(), user.id, event);
+  if (refused) return refused;
+
+  if (
+    event.type === SESSION_EVENTS.GENERATION_REQUEST ||
+    event.type === SESSION_EVENTS.GENERATION_UPDATE
+  ) {
+    return checkGenerationEvent(user, event);
+  }
+  if (event.type === SESSION_EVENTS.RECIPE_ADD) {
+    return checkRecipeAdd(user, event);
+  }
+  return null;
+}
+
+/**
+ * The event as the session applies it, with the figures the server trusts in
+ * place of the sender's: the cost of a request is the server's estimate, and
+ * the requester can't bring it down afterwards
+ */
+function correctEvent(user, event) {
+  if (event.type === SESSION_EVENTS.GENERATION_REQUEST) {
+    const { generation } = event.payload;
+    return {
+      ...event,
+      payload: {
+        ...event.payload,
+        generation: {
+          ...generation,
+          estimatedCost: estimateGenerationCost(generation),
+        },
+      },
+    };
+  }
+
+  if (
+    event.type === SESSION_EVENTS.GENERATION_UPDATE &&
+    "estimatedCost" in event.payload.updates &&
+    SessionStorage.get()?.hostId !== user.id
+  ) {
+    const { generationId, updates } = event.payload;
+    const charged =
+      GenerationStorage.get().find((g) => g.id === generationId)
+        ?.estimatedCost || 0;
+    const reported = Number(updates.estimatedCost);
+    return {
+      ...event,
+      payload: {
+        ...event.payload,
+        updates: {
+          ...updates,
+          estimatedCost: Number.isFinite(reported)
+            ? Math.max(reported, charged)
+            : charged,
+        },
+      },
+    };
+  }
+
+  return event;
+}
+
+/**
+ * Apply a participant's event to the session if it's theirs to make
+ * The session's clock orders events, not the one the sender claims, so the
+ * sender has to take on the stamped event too. Returns { event } with the
+ * event as applied, or { error }
+ */
+export function acceptSessionEvent(user, event) {
+  if (!isValidSessionEvent(event)) return { error: "Malformed session event" };
+
+  const refused = checkEvent(user, event);
+  if (refused) return { error: refused };
+
+  const { id: code } = SessionStorage.get();
+  const stamped = stampSessionEvent(correctEvent(user, event));
+  applySessionEvent(stamped);
+  // A busy session stays open; only the host's settings publish lastActivity
+  SessionStorage.touch();
+
+  const { participantId } = event.payload;
+  if (
+    event.type === SESSION_EVENTS.PARTICIPANT_LEAVE &&
+    participantId !== user.id
+  ) {
+    recordRemoval(code, participantId);
+  }
+  return { event: stamped };
+}
+
+/**
+ * Once a recipe that answers a request is in, the request counts whatever
+ * the requester does next
+ */
+export function linkAnsweredGeneration(event) {
+  if (event.type !== SESSION_EVENTS.RECIPE_ADD) return;
+
+  const { recipe } = event.payload;
+  const generation = GenerationStorage.get().find(
+    (g) => g.id === recipe.generationId
+  );
+  if (generation && !generation.recipeId) {
+    GenerationStorage.update(generation.id, { recipeId: recipe.id });
+  }
+}
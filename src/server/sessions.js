@@ -0,0 +1,360 @@
+/**
+ * WebSocket session server for Pantry Party
+ * Keeps one room per session code so participants on other devices can join
+ * Each room has its own file storage, driven by the same stores as the client
+ * Who is who is checked when opening or joining a room (see identity.js), and
+ * every event is checked against the verified user (see session-events.js)
+ */
+
+import { WebSocketServer } from "ws";
+import {
+  FileStorageAdapter,
+  SESSION_CHANGED_EVENT,
+  isValidSessionCode,
+} from "./file-storage.js";
+import {
+  SessionStorage,
+  withStorageAdapter,
+  setSessionEventTransport,
+  exportSessionState,
+  importSessionState,
+} from "../../public/scripts/storage.js";
+import {
+  admitParticipant,
+  checkHostSecret,
+  isIssuedSession,
+  signParticipantToken,
+} from "./identity.js";
+import {
+  acceptSessionEvent,
+  linkAnsweredGeneration,
+} from "./session-events.js";
+
+export const SESSION_SOCKET_PATH = "/ws";
+
+const rooms = new Map();
+
+// { room, user } of every open socket
+const connections = new WeakMap();
+
+// Room whose storage is in use, events published by the server go to it
+let activeRoom = null;
+
+/**
+ * Send a message to a single socket
+ */
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a message to everyone in a room, optionally skipping the sender
+ */
+function broadcast(room, message, except = null) {
+  room.sockets.forEach((socket) => {
+    if (socket !== except) send(socket, message);
+  });
+}
+
+/**
+ * Run storage operations against a room's own storage
+ */
+function inRoom(room, callback) {
+  const previous = activeRoom;
+  activeRoom = room;
+  try {
+    return withStorageAdapter(room.storage, callback);
+  } finally {
+    activeRoom = previous;
+  }
+}
+
+function createRoom(code) {
+  const room = {
+    code,
+    storage: new FileStorageAdapter(code),
+    sockets: new Set(),
+  };
+  rooms.set(code, room);
+  return room;
+}
+
+/**
+ * Get a room by code, reopening it from disk if needed
+ * Drops the room if its session has expired
+ */
+function getRoom(code) {
+  const room = rooms.get(code) || createRoom(code);
+
+  if (!inRoom(room, () => SessionStorage.get())) {
+    closeRoom(code);
+    return null;
+  }
+
+  return room;
+}
+
+/**
+ * Disconnect everyone and delete the session's data
+ */
+function closeRoom(code) {
+  const room = rooms.get(code);
+  if (!room) return;
+
+  broadcast(room, { type: "session:error", message: "Session has ended" });
+  room.sockets.forEach((socket) => leaveRoom(socket));
+  room.storage.clear();
+  rooms.delete(code);
+}
+
+/**
+ * Take a socket out of its room and close it
+ */
+function leaveRoom(socket) {
+  const connection = connections.get(socket);
+  connection.room?.sockets.delete(socket);
+  connection.room = null;
+  socket.close();
+}
+
+/**
+ * Disconnect whoever is no longer a participant, e.g. after the host
+ * removed them. They can't send anything more, and can't come back with
+ * their token (see recordRemoval)
+ */
+function dropRemovedParticipants(room) {
+  const session = inRoom(room, () => SessionStorage.get());
+  if (!session) {
+    closeRoom(room.code);
+    return;
+  }
+
+  room.sockets.forEach((socket) => {
+    const { user } = connections.get(socket);
+    if (!session.participants.some((p) => p.id === user.id)) {
+      send(socket, {
+        type: "session:error",
+        message: "You are no longer in this session",
+      });
+      leaveRoom(socket);
+    }
+  });
+}
+
+/**
+ * Host opens a room with their local session state, proving who they are
+ * with the host secret the server issued with the session's code
+ * If the room is already open its state wins, the host catches up from it
+ * Returns { room, token } or null
+ */
+function openRoom(socket, { code, user, hostSecret, state }) {
+  const refuse = (message) => {
+    send(socket, { type: "session:error", message });
+    return null;
+  };
+
+  if (!isIssuedSession(code)) {
+    return refuse("This session wasn't created on this server");
+  }
+  if (!checkHostSecret(code, user.id, hostSecret)) {
+    return refuse("Only the session's host can open it");
+  }
+
+  const existing = getRoom(code);
+  if (existing) {
+    return { room: existing, token: signParticipantToken(code, user.id) };
+  }
+
+  if (!state?.session || state.session.id !== code) {
+    return refuse("Session not found");
+  }
+  if (state.session.hostId !== user.id) {
+    return refuse("Only the session's host can open it");
+  }
+
+  const room = createRoom(code);
+  inRoom(room, () => importSessionState(state));
+
+  return { room, token: signParticipantToken(code, user.id) };
+}
+
+/**
+ * Participant joins an existing room, or comes back to it with their token
+ * Returns { room, token } or null
+ */
+function joinRoom(socket, { code, user, token }) {
+  const room = getRoom(code);
+  if (!room) {
+    send(socket, {
+      type: "session:error",
+      message: "Session not found or expired. Ask the host to open it.",
+    });
+    return null;
+  }
+
+  const admitted = inRoom(room, () => admitParticipant(code, user, token));
+  if (admitted.error) {
+    send(socket, { type: "session:error", message: admitted.error });
+    return null;
+  }
+
+  return { room, token: admitted.token };
+}
+
+/**
+ * Apply a participant's event to the room and pass it on to everyone
+ * The sender gets it back too: it carries the room's stamp, which the
+ * sender's own copy has to take on for every replica to order it the same
+ */
+function relayEvent(socket, connection, event) {
+  const { room } = connection;
+  const accepted = inRoom(room, () =>
+    acceptSessionEvent(connection.user, event)
+  );
+  if (accepted.error) {
+    // The sender already applied it, put them back in step with the room
+    send(socket, { type: "session:error", message: accepted.error });
+    send(socket, {
+      type: "session:state",
+      state: inRoom(room, () => exportSessionState()),
+    });
+    return;
+  }
+
+  broadcast(room, { type: "session:event", event: accepted.event });
+  inRoom(room, () => linkAnsweredGeneration(accepted.event));
+
+  // An ended session closes its room as well
+  dropRemovedParticipants(room);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Handle an incoming socket message
+ */
+function handleMessage(socket, connection, message) {
+  if (!isPlainObject(message)) {
+    send(socket, { type: "session:error", message: "Malformed message" });
+    return;
+  }
+
+  if (message.type === "session:event") {
+    if (connection.room) relayEvent(socket, connection, message.event);
+    return;
+  }
+
+  if (
+    !isValidSessionCode(message.code) ||
+    typeof message.user?.id !== "string"
+  ) {
+    send(socket, { type: "session:error", message: "Invalid session request" });
+    return;
+  }
+
+  let joined = null;
+  switch (message.type) {
+    case "session:open":
+      joined = openRoom(socket, message);
+      break;
+    case "session:join":
+      joined = joinRoom(socket, message);
+      break;
+    default:
+      return;
+  }
+
+  if (!joined) return;
+  const { room, token } = joined;
+
+  if (connection.room && connection.room !== room) {
+    connection.room.sockets.delete(socket);
+  }
+  connection.room = room;
+  connection.user = message.user;
+  room.sockets.add(socket);
+
+  // Kept by the browser to come back as the same participant
+  send(socket, { type: "session:identity", token });
+
+  const state = inRoom(room, () => exportSessionState());
+  send(socket, { type: "session:state", state });
+}
+
+/**
+ * Attach the session WebSocket endpoint to an HTTP server
+ */
+export function attachSessionServer(httpServer) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Events the server publishes itself, e.g. a participant joining
+  setSessionEventTransport((event) => {
+    if (activeRoom) broadcast(activeRoom, { type: "session:event", event });
+  });
+
+  httpServer.on("upgrade", (request, socket, head) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    // Leave other upgrades (e.g. Vite HMR) to their own handlers
+    if (pathname !== SESSION_SOCKET_PATH) return;
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit("connection", ws, request);
+    });
+  });
+
+  // Changes made through the HTTP API are pushed to everyone in the room
+  process.on(SESSION_CHANGED_EVENT, (code) => {
+    const room = rooms.get(code);
+    if (!room) return;
+
+    const state = inRoom(room, () => exportSessionState());
+    broadcast(room, { type: "session:state", state });
+    dropRemovedParticipants(room);
+  });
+
+  wss.on("connection", (socket) => {
+    const connection = { room: null, user: null };
+    connections.set(socket, connection);
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        send(socket, { type: "session:error", message: "Malformed message" });
+        return;
+      }
+
+      // A message that breaks the server only costs its own connection
+      try {
+        handleMessage(socket, connection, message);
+      } catch (error) {
+        console.error("Session message failed:", error);
+        send(socket, {
+          type: "session:error",
+          message: "Something went wrong",
+        });
+        socket.close(1011);
+      }
+    });
+
+    socket.on("close", () => {
+      const { room } = connection;
+      if (!room) return;
+
+      room.sockets.delete(socket);
+
+      // The session stays on disk, so rooms nobody is in can be dropped
+      if (room.sockets.size === 0 && rooms.get(room.code) === room) {
+        rooms.delete(room.code);
+      }
+    });
+  });
+
+  return wss;
+}